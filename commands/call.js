@@ -0,0 +1,258 @@
+import { InvalidArgumentError, Option } from "commander";
+import { classifyError } from "../lib/errors.js";
+import { getOutputDir, saveMediaFile } from "../lib/output.js";
+import { extensionFor } from "../lib/resources.js";
+import { isToolResult } from "../lib/results.js";
+import { createToolContext } from "../lib/tool-context.js";
+import { discoverTools, runTool } from "../lib/tools.js";
+import { validateToolArguments } from "../lib/validation.js";
+
+/**
+ * Registers the `call` command with one subcommand per tool, so any tool can
+ * be run from the terminal without an MCP client. Each parameter in the
+ * tool's JSON Schema becomes a flag (`output_dir` becomes `--output-dir`);
+ * arguments can also be passed as JSON with `--json`, or on stdin with
+ * `--json -`. Tools are only loaded when the `call` command runs, so other
+ * commands start without importing every tool module.
+ * @param {import("commander").Command} program - The CLI program.
+ */
+export function registerCallCommand(program) {
+  const call = program
+    .command("call")
+    .description("Run a tool from the terminal without an MCP client");
+
+  program.hook("preSubcommand", async (_program, command) => {
+    if (command === call) await registerToolCommands(call);
+  });
+}
+
+async function registerToolCommands(call) {
+  for (const tool of await discoverTools()) {
+    const { name, description, parameters } = tool.definition.function;
+    const command = call.command(name).description(description || "");
+    const flags = [];
+    for (const [property, schema] of Object.entries(
+      parameters?.properties || {}
+    )) {
+      for (const option of createOptions(property, schema)) {
+        command.addOption(option);
+      }
+      flags.push([property, camelCase(property)]);
+    }
+
+    command
+      .option("--json <args>", 'tool arguments as JSON, or "-" to read stdin')
+      .option(
+        "--save-dir <dir>",
+        "where to save media outputs (default MEDIA_OUTPUT_DIR or output/)"
+      )
+      .option(
+        "--progress",
+        "print progress updates; image tools then stream partial images"
+      )
+      .action(async (options) => {
+        try {
+          await callTool(tool, flags, options);
+        } catch (error) {
+          console.error(
+            error instanceof InvalidArgumentError
+              ? error.message
+              : JSON.stringify({ error: classifyError(error) }, null, 2)
+          );
+          process.exitCode = 1;
+        }
+      });
+  }
+}
+
+async function callTool(tool, flags, options) {
+  // Flags override the JSON arguments
+  const args = options.json ? await readJsonArgs(options.json) : {};
+  for (const [property, attribute] of flags) {
+    if (options[attribute] !== undefined) args[property] = options[attribute];
+  }
+
+  let validated;
+  try {
+    validated = validateToolArguments(tool, args);
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+    return;
+  }
+  validated.warnings.forEach((warning) => console.error(warning));
+
+  // Tools that persist media write it where the outputs should be saved
+  const saveDir = getOutputDir(options.saveDir);
+  if (
+    tool.definition.function.parameters.properties?.output_dir &&
+    validated.args.output_dir === undefined
+  ) {
+    validated.args.output_dir = saveDir;
+  }
+
+  const controller = new AbortController();
+  process.once("SIGINT", () => controller.abort());
+  // Asking for progress also makes image tools stream, so only do it on request
+  const progressToken = options.progress ? "cli" : undefined;
+  const context = createToolContext(
+    { params: { _meta: { progressToken } } },
+    {
+      signal: controller.signal,
+      sendNotification: async ({ params }) =>
+        console.error(
+          params.message || `Progress ${params.progress}/${params.total ?? "?"}`
+        ),
+    }
+  );
+
+  // Paths on the command line come from the local user, so they are not
+  // confined to the output root like those sent by MCP clients
+  context.unconfinedPaths = true;
+
+  const result = await runTool(tool, validated.args, context);
+  if (!isToolResult(result)) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  for (const block of result.content) {
+    if (block.type === "text") console.log(block.text);
+  }
+  for (const filePath of await saveMediaOutputs(tool, result, saveDir)) {
+    console.error(`Saved ${filePath}`);
+  }
+}
+
+/**
+ * Saves the image, audio and embedded resource blocks of a result, skipping
+ * media the tool already wrote to disk.
+ * @returns {Promise<Array<string>>} Paths of every media output on disk.
+ */
+async function saveMediaOutputs(tool, result, saveDir) {
+  const metadata = result.structuredContent || {};
+  const images = (metadata.images || []).filter(
+    (image) => !image.download_error
+  );
+  const prefix = `${kebabCase(tool.definition.function.name)}-${Math.floor(Date.now() / 1000)}`;
+  const paths = [];
+  let imageIndex = 0;
+
+  for (const [index, block] of result.content.entries()) {
+    let data;
+    let mimeType;
+    let savedPath;
+    if (block.type === "image") {
+      savedPath = images[imageIndex++]?.path;
+      ({ data, mimeType } = block);
+    } else if (block.type === "audio") {
+      savedPath = metadata.path;
+      ({ data, mimeType } = block);
+    } else if (block.type === "resource" && block.resource.blob) {
+      ({ blob: data, mimeType } = block.resource);
+    } else {
+      continue;
+    }
+
+    if (!savedPath) {
+      ({ path: savedPath } = await saveMediaFile({
+        directory: saveDir,
+        prefix: `${prefix}-${index}`,
+        data: Buffer.from(data, "base64"),
+        extension: extensionFor(mimeType),
+        mimeType,
+        metadata: { tool: tool.definition.function.name, ...metadata },
+      }));
+    }
+    paths.push(savedPath);
+  }
+  return paths;
+}
+
+/**
+ * Builds the CLI options for one schema property: a value flag parsed by
+ * the property's type, or `--flag`/`--no-flag` for booleans.
+ */
+function createOptions(property, schema) {
+  const flag = `--${property.replace(/_/g, "-")}`;
+  const description = schema.description || "";
+  if (schema.type === "boolean") {
+    return [
+      new Option(flag, description),
+      new Option(`--no-${flag.slice(2)}`, `unset ${flag}`).hideHelp(),
+    ];
+  }
+
+  const variadic = schema.type === "array";
+  const option = new Option(
+    `${flag} <value${variadic ? "s..." : ""}>`,
+    description
+  );
+  const itemSchema = variadic ? schema.items || {} : schema;
+  if (itemSchema.enum) option.choices(itemSchema.enum.map(String));
+
+  const parse = valueParser(itemSchema);
+  if (variadic) {
+    option.argParser((value, previous = []) => [...previous, parse(value)]);
+  } else {
+    option.argParser((value) => parse(value));
+  }
+  return [option];
+}
+
+function valueParser(schema) {
+  switch (schema.type) {
+    case "integer":
+    case "number":
+      return (value) => {
+        const number = Number(value);
+        if (Number.isNaN(number)) {
+          throw new InvalidArgumentError("Not a number.");
+        }
+        return number;
+      };
+    case "object":
+      return parseJson;
+    case "string":
+      return (value) => value;
+    default:
+      // Untyped and union schemas take JSON, falling back to a plain string
+      return (value) => {
+        try {
+          return JSON.parse(value);
+        } catch (error) {
+          return value;
+        }
+      };
+  }
+}
+
+function parseJson(value) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new InvalidArgumentError(`Not valid JSON: ${error.message}`);
+  }
+}
+
+async function readJsonArgs(value) {
+  let text = value;
+  if (value === "-") {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    text = Buffer.concat(chunks).toString("utf8");
+  }
+  const args = parseJson(text);
+  if (!args || typeof args !== "object" || Array.isArray(args)) {
+    throw new InvalidArgumentError("--json must be a JSON object.");
+  }
+  return args;
+}
+
+function camelCase(name) {
+  return name.replace(/_([a-z0-9])/g, (_, char) => char.toUpperCase());
+}
+
+function kebabCase(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, "$1-$2").toLowerCase();
+}
@@ -0,0 +1,97 @@
+import { apiTool as cleanupFiles } from "../tools/openai-files/cleanup-files.js";
+import { printTable } from "../lib/table.js";
+import { validateToolArguments } from "../lib/validation.js";
+
+/**
+ * Registers the `cleanup-files` command, which previews or deletes stale
+ * files in the OpenAI Files API using the CleanupFiles tool.
+ * @param {import("commander").Command} program - The CLI program.
+ */
+export function registerFilesCommand(program) {
+  program
+    .command("cleanup-files")
+    .description(
+      "Preview, then delete, OpenAI files selected by purpose, age, name and size"
+    )
+    .option("--purpose <purpose>", "only select files with this purpose")
+    .option("--older-than <days>", "only select files older than this", Number)
+    .option("--before <date>", "only select files created before this date")
+    .option("--filename <glob>", "only select files whose name matches")
+    .option(
+      "--min-bytes <bytes>",
+      "only select files of at least this size",
+      Number
+    )
+    .option(
+      "--max-bytes <bytes>",
+      "only select files of at most this size",
+      Number
+    )
+    .option("--delete", "delete the matches instead of previewing them")
+    .option(
+      "--max-files <count>",
+      "refuse to delete more files than this",
+      Number
+    )
+    .option("--concurrency <count>", "deletions in flight at once", Number)
+    .option("--json", "print the result as JSON")
+    .action(async (options) => {
+      let args;
+      try {
+        ({ args } = validateToolArguments(cleanupFiles, {
+          purpose: options.purpose,
+          older_than_days: options.olderThan,
+          created_before: options.before,
+          filename: options.filename,
+          min_bytes: options.minBytes,
+          max_bytes: options.maxBytes,
+          dry_run: !options.delete,
+          max_files: options.maxFiles,
+          concurrency: options.concurrency,
+        }));
+      } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+        return;
+      }
+
+      let result;
+      try {
+        result = await cleanupFiles.function(args);
+      } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+        return;
+      }
+      if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+        return;
+      }
+
+      const rows = result.files.map((file) => [
+        file.outcome,
+        file.id,
+        file.filename || "",
+        String(file.bytes ?? ""),
+        file.created_at.slice(0, 10),
+        file.error?.message || "",
+      ]);
+      if (rows.length) {
+        printTable(
+          [["outcome", "id", "filename", "bytes", "created", ""], ...rows],
+          { rightAligned: [3] }
+        );
+        console.log("");
+      }
+      if (result.dry_run) {
+        console.log(
+          `${result.matched} file(s), ${result.total_bytes} bytes would be deleted. Re-run with --delete to delete them.`
+        );
+      } else {
+        console.log(
+          `Deleted ${result.deleted} of ${result.matched} file(s) (${result.deleted_bytes} bytes); ${result.failed} failed.`
+        );
+        if (result.failed) process.exitCode = 1;
+      }
+    });
+}
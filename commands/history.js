@@ -0,0 +1,81 @@
+import {
+  getGeneration,
+  getHistoryPath,
+  searchHistory,
+} from "../lib/history.js";
+
+/**
+ * Registers the `history` command, which lists and searches the local
+ * generation history, or shows a single generation by ID.
+ * @param {import("commander").Command} program - The CLI program.
+ */
+export function registerHistoryCommand(program) {
+  program
+    .command("history [id]")
+    .description("List, search or show generations from the local history")
+    .option("-q, --query <text>", "text to find in prompts and tags")
+    .option("--model <model>", "only include generations made with a model")
+    .option("--tool <tool>", "only include generations made by a tool")
+    .option("--tag <tag>", "only include generations carrying a tag")
+    .option("--since <date>", "earliest UTC date or timestamp to include")
+    .option("--until <date>", "latest UTC date or timestamp to include")
+    .option("-n, --limit <count>", "maximum generations to show", "20")
+    .option("--json", "print the generations as JSON")
+    .action(async (id, { limit, json, ...filters }) => {
+      if (id) {
+        const generation = await getGeneration(id);
+        if (!generation) {
+          console.error(`No generation with ID ${id} in ${getHistoryPath()}`);
+          process.exitCode = 1;
+          return;
+        }
+        console.log(JSON.stringify(generation, null, 2));
+        return;
+      }
+
+      let total;
+      let generations;
+      try {
+        ({ total, generations } = await searchHistory({
+          ...filters,
+          limit: Number.parseInt(limit, 10),
+        }));
+      } catch (error) {
+        console.error(error.message);
+        process.exitCode = 1;
+        return;
+      }
+      if (json) {
+        console.log(JSON.stringify({ total, generations }, null, 2));
+        return;
+      }
+      if (total === 0) {
+        console.log(`No generations found in ${getHistoryPath()}`);
+        return;
+      }
+
+      for (const generation of generations) {
+        const when = generation.created_at.slice(0, 19).replace("T", " ");
+        const model = generation.model ? ` (${generation.model})` : "";
+        console.log(`${generation.id}  ${when}  ${generation.tool}${model}`);
+        if (generation.prompt) {
+          console.log(`  ${truncate(generation.prompt, 100)}`);
+        }
+        if (generation.tags?.length) {
+          console.log(`  tags: ${generation.tags.join(", ")}`);
+        }
+        for (const output of generation.outputs) {
+          const location = output.path || output.url || output.video_id;
+          if (location) console.log(`  ${output.type}: ${location}`);
+        }
+      }
+      if (total > generations.length) {
+        console.log(`\nShowing ${generations.length} of ${total} generations`);
+      }
+    });
+}
+
+function truncate(text, length) {
+  const line = text.replace(/\s+/g, " ");
+  return line.length > length ? `${line.slice(0, length - 1)}…` : line;
+}
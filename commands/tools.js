@@ -1,25 +1,26 @@
-import { discoverTools } from "../lib/tools.js";
+import path from "path";
+import { loadTools } from "../lib/tools.js";
 
 export function registerToolsCommand(program) {
   program
     .command("tools")
     .description("List all available API tools")
     .action(async () => {
-      const tools = await discoverTools();
+      const { tools, disabled, broken } = await loadTools();
       if (tools.length === 0) {
         console.log("No tools found. Tools should be organized as:");
-        console.log("tools/workspace/collection/request.js\n");
-        return;
+        console.log("tools/collection/tool.js\n");
+      } else {
+        console.log("\nAvailable Tools:\n");
       }
 
-      console.log("\nAvailable Tools:\n");
-
-      // Group tools by workspace/collection
+      // Group tools by where they were loaded from, then by directory
       const groupedTools = tools.reduce((acc, tool) => {
-        // Extract workspace and collection from path
-        const parts = tool.path.split("/");
-        const workspace = parts[1] || "Unknown Workspace";
-        const collection = parts[2] || "Unknown Collection";
+        const workspace = tool.plugin || "tools";
+        const collection =
+          path.dirname(
+            tool.plugin ? path.relative(tool.plugin, tool.path) : tool.path
+          ) || ".";
 
         if (!acc[workspace]) acc[workspace] = {};
         if (!acc[workspace][collection]) acc[workspace][collection] = [];
@@ -61,5 +62,21 @@ export function registerToolsCommand(program) {
         }
         console.log("");
       }
+
+      if (disabled.length) {
+        console.log(
+          `Disabled by ENABLED_TOOLS/DISABLED_TOOLS: ${disabled
+            .map((tool) => tool.definition.function.name)
+            .join(", ")}\n`
+        );
+      }
+      if (broken.length) {
+        console.log("Skipped modules:");
+        for (const module of broken) {
+          console.log(`  ${module.path}: ${module.error}`);
+        }
+        console.log("");
+        process.exitCode = 1;
+      }
     });
-}
\ No newline at end of file
+}
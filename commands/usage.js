@@ -0,0 +1,73 @@
+import { printTable } from "../lib/table.js";
+import { getLedgerPath, readLedger, summarizeUsage } from "../lib/usage.js";
+
+const GROUP_FIELDS = ["day", "tool", "model", "session", "user"];
+
+/**
+ * Registers the `usage` command, which summarises the estimated spend
+ * recorded in the usage ledger.
+ * @param {import("commander").Command} program - The CLI program.
+ */
+export function registerUsageCommand(program) {
+  program
+    .command("usage")
+    .description("Summarise estimated OpenAI spend by day and tool")
+    .option("--since <date>", "first UTC day to include (YYYY-MM-DD)")
+    .option("--until <date>", "last UTC day to include (YYYY-MM-DD)")
+    .option(
+      "--by <fields>",
+      `comma-separated fields to group by (${GROUP_FIELDS.join(", ")})`,
+      "day,tool"
+    )
+    .option("--json", "print the summary as JSON")
+    .action(async ({ since, until, by, json }) => {
+      const groupBy = by.split(",").map((field) => field.trim());
+      const unknown = groupBy.filter((field) => !GROUP_FIELDS.includes(field));
+      if (unknown.length) {
+        console.error(`Unknown group field(s): ${unknown.join(", ")}`);
+        process.exitCode = 1;
+        return;
+      }
+
+      const entries = await readLedger({ since, until });
+      const summary = summarizeUsage(entries, groupBy);
+      if (json) {
+        console.log(JSON.stringify(summary, null, 2));
+        return;
+      }
+      if (entries.length === 0) {
+        console.log(`No usage recorded in ${getLedgerPath()}`);
+        return;
+      }
+
+      // Print one row per group, ordered by the grouping fields
+      const rows = summary.groups
+        .sort(
+          (a, b) =>
+            groupBy
+              .map((field) => String(a[field]).localeCompare(String(b[field])))
+              .find((order) => order !== 0) ?? 0
+        )
+        .map((group) => [
+          ...groupBy.map((field) => String(group[field] ?? "-")),
+          String(group.calls),
+          String(group.images),
+          formatUsd(group.cost_usd),
+        ]);
+      const header = [...groupBy, "calls", "images", "cost (USD)"];
+      const total = [
+        "total",
+        ...groupBy.slice(1).map(() => ""),
+        String(summary.calls),
+        String(summary.images),
+        formatUsd(summary.cost_usd),
+      ];
+      // The calls, images and cost columns are right-aligned
+      const numeric = [0, 1, 2].map((offset) => groupBy.length + offset);
+      printTable([header, ...rows, total], { rightAligned: numeric });
+    });
+}
+
+function formatUsd(value) {
+  return `$${value.toFixed(4)}`;
+}
@@ -1,9 +1,23 @@
 import { Command } from "commander";
+import dotenv from "dotenv";
+import path from "path";
+import { fileURLToPath } from "url";
+import { registerCallCommand } from "./commands/call.js";
+import { registerFilesCommand } from "./commands/files.js";
+import { registerHistoryCommand } from "./commands/history.js";
 import { registerToolsCommand } from "./commands/tools.js";
+import { registerUsageCommand } from "./commands/usage.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.resolve(__dirname, ".env") });
 
 const program = new Command();
 
 // Register commands
 registerToolsCommand(program);
+registerUsageCommand(program);
+registerHistoryCommand(program);
+registerFilesCommand(program);
+registerCallCommand(program);
 
-program.parse(process.argv);
+await program.parseAsync(process.argv);
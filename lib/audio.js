@@ -0,0 +1,77 @@
+// Bitrates in kbps for MPEG audio layer III, by bitrate index
+const MPEG1_BITRATES = [
+  0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320,
+];
+const MPEG2_BITRATES = [
+  0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160,
+];
+
+// Assumed for containers whose duration is not read here (m4a, webm, ...).
+// Speech is rarely encoded below this, so the estimate errs on the long side.
+const FALLBACK_BITRATE = 64 * 1000;
+
+/**
+ * Estimates how long an audio file plays. WAV durations are exact; MP3
+ * durations assume a constant bitrate; other formats are estimated from
+ * their size, assuming a low speech bitrate.
+ *
+ * @param {Buffer} data - The audio file bytes.
+ * @returns {number} The duration in seconds.
+ */
+export function estimateAudioSeconds(data) {
+  return (
+    wavSeconds(data) ?? mp3Seconds(data) ?? (data.length * 8) / FALLBACK_BITRATE
+  );
+}
+
+function wavSeconds(data) {
+  if (
+    data.length < 12 ||
+    data.toString("ascii", 0, 4) !== "RIFF" ||
+    data.toString("ascii", 8, 12) !== "WAVE"
+  ) {
+    return undefined;
+  }
+
+  let byteRate;
+  for (let offset = 12; offset + 8 <= data.length;) {
+    const id = data.toString("ascii", offset, offset + 4);
+    const size = data.readUInt32LE(offset + 4);
+    if (id === "fmt " && offset + 20 <= data.length) {
+      byteRate = data.readUInt32LE(offset + 16);
+    } else if (id === "data" && byteRate) {
+      // Streamed WAVs may leave the size unset, so cap it at what is there
+      return Math.min(size, data.length - offset - 8) / byteRate;
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return undefined;
+}
+
+function mp3Seconds(data) {
+  let offset = 0;
+  // Skip an ID3v2 tag, whose size is stored as four 7-bit bytes
+  if (data.length >= 10 && data.toString("ascii", 0, 3) === "ID3") {
+    offset =
+      10 +
+      ((data[6] & 0x7f) << 21) +
+      ((data[7] & 0x7f) << 14) +
+      ((data[8] & 0x7f) << 7) +
+      (data[9] & 0x7f);
+  }
+
+  const end = Math.min(data.length - 4, offset + 64 * 1024);
+  for (; offset < end; offset++) {
+    if (data[offset] !== 0xff || (data[offset + 1] & 0xe0) !== 0xe0) continue;
+    const version = (data[offset + 1] >> 3) & 0x03;
+    const layer = (data[offset + 1] >> 1) & 0x03;
+    const bitrateIndex = data[offset + 2] >> 4;
+    // Layer III only; version 1 is reserved
+    if (layer !== 1 || version === 1) continue;
+    const bitrates = version === 3 ? MPEG1_BITRATES : MPEG2_BITRATES;
+    const kbps = bitrates[bitrateIndex];
+    if (!kbps) continue;
+    return ((data.length - offset) * 8) / (kbps * 1000);
+  }
+  return undefined;
+}
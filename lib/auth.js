@@ -0,0 +1,286 @@
+import {
+  createHash,
+  createHmac,
+  createPublicKey,
+  timingSafeEqual,
+  verify,
+} from "crypto";
+import { requireBearerAuth } from "@modelcontextprotocol/sdk/server/auth/middleware/bearerAuth.js";
+import {
+  InsufficientScopeError,
+  InvalidTokenError,
+} from "@modelcontextprotocol/sdk/server/auth/errors.js";
+
+const OPENAI_KEY_HEADER = "x-openai-api-key";
+const CLOCK_SKEW_SECONDS = 60;
+// Newer SDK versions reject AuthInfo without an expiry, so tokens that never
+// expire are given one that outlasts the request they are checked for
+const NON_EXPIRING_TOKEN_SECONDS = 60 * 60;
+const JWKS_REFRESH_INTERVAL_MS = 60 * 1000;
+
+const JWT_ALGORITHMS = {
+  HS256: { hash: "sha256", hmac: true },
+  HS384: { hash: "sha384", hmac: true },
+  HS512: { hash: "sha512", hmac: true },
+  RS256: { hash: "sha256" },
+  RS384: { hash: "sha384" },
+  RS512: { hash: "sha512" },
+  ES256: { hash: "sha256", ecdsa: true },
+  ES384: { hash: "sha384", ecdsa: true },
+  ES512: { hash: "sha512", ecdsa: true },
+};
+
+/**
+ * Reads the HTTP authentication settings from the environment.
+ * @returns {Object} The resolved authentication configuration.
+ */
+export function getAuthConfig() {
+  const env = process.env;
+  return {
+    tokens: splitList(env.MCP_AUTH_TOKENS),
+    jwtSecret: env.MCP_AUTH_JWT_SECRET,
+    jwksUrl: env.MCP_AUTH_JWKS_URL,
+    issuer: env.MCP_AUTH_JWT_ISSUER,
+    audience: env.MCP_AUTH_JWT_AUDIENCE,
+    requiredScopes: splitList(env.MCP_AUTH_REQUIRED_SCOPES),
+    passthrough: env.MCP_AUTH_PASSTHROUGH === "true",
+  };
+}
+
+/**
+ * Builds the express middleware guarding the HTTP transports.
+ *
+ * Bearer tokens are checked against the static `tokens` list and, when a JWT
+ * secret or JWKS URL is configured, validated as JWTs. In pass-through mode
+ * every request must also carry the client's own OpenAI key in the
+ * `X-OpenAI-Api-Key` header; it is attached to `req.auth.extra.openaiApiKey`
+ * and used in place of the server's key for that client's tool calls.
+ *
+ * @param {Object} [config=getAuthConfig()] - Authentication configuration.
+ * @returns {Array<Function>} Middleware to mount in front of the MCP routes; empty when auth is disabled.
+ */
+export function createAuthMiddleware(config = getAuthConfig()) {
+  const middleware = [];
+  const hasBearerAuth =
+    config.tokens.length > 0 || config.jwtSecret || config.jwksUrl;
+
+  if (hasBearerAuth) {
+    middleware.push(
+      requireBearerAuth({ verifier: createTokenVerifier(config) })
+    );
+  }
+  if (config.passthrough) {
+    middleware.push(requireClientApiKey);
+  }
+  return middleware;
+}
+
+/**
+ * Creates an access token verifier for the MCP SDK bearer auth middleware.
+ * @param {Object} config - Authentication configuration.
+ * @returns {Object} A verifier with `verifyAccessToken(token)`.
+ */
+export function createTokenVerifier(config) {
+  const jwks = config.jwksUrl ? createJwksCache(config.jwksUrl) : undefined;
+
+  return {
+    async verifyAccessToken(token) {
+      const index = config.tokens.findIndex((candidate) =>
+        safeEqual(candidate, token)
+      );
+      if (index !== -1) {
+        return {
+          token,
+          clientId: `token:${index}`,
+          scopes: config.requiredScopes,
+          expiresAt: nonExpiringExpiry(),
+        };
+      }
+      if (config.jwtSecret || jwks) {
+        return verifyJwt(token, { ...config, jwks });
+      }
+      throw new InvalidTokenError("Invalid access token");
+    },
+  };
+}
+
+function requireClientApiKey(req, res, next) {
+  const openaiApiKey = req.headers[OPENAI_KEY_HEADER];
+  if (!openaiApiKey) {
+    res.set(
+      "WWW-Authenticate",
+      'Bearer error="invalid_token", error_description="Missing X-OpenAI-Api-Key header"'
+    );
+    return res.status(401).json({
+      error: "invalid_token",
+      error_description: "Missing X-OpenAI-Api-Key header",
+    });
+  }
+
+  // Without bearer auth the client's OpenAI key is its only credential, so
+  // it also tells clients apart, e.g. in the generation history
+  const auth = req.auth || {
+    token: openaiApiKey,
+    clientId: `passthrough:${createHash("sha256")
+      .update(openaiApiKey)
+      .digest("hex")
+      .slice(0, 16)}`,
+    scopes: [],
+  };
+  req.auth = { ...auth, extra: { ...auth.extra, openaiApiKey } };
+  next();
+}
+
+/**
+ * Verifies a JWT's signature and registered claims.
+ * @param {string} token - The encoded JWT.
+ * @param {Object} options - Authentication configuration plus the JWKS cache.
+ * @returns {Promise<Object>} The SDK AuthInfo for the token.
+ */
+async function verifyJwt(token, options) {
+  const [encodedHeader, encodedPayload, encodedSignature] = token.split(".");
+  if (!encodedSignature) {
+    throw new InvalidTokenError("Malformed access token");
+  }
+
+  let header;
+  let payload;
+  try {
+    header = JSON.parse(Buffer.from(encodedHeader, "base64url").toString());
+    payload = JSON.parse(Buffer.from(encodedPayload, "base64url").toString());
+  } catch (error) {
+    throw new InvalidTokenError("Malformed access token");
+  }
+
+  const algorithm = JWT_ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw new InvalidTokenError(`Unsupported token algorithm: ${header.alg}`);
+  }
+
+  const data = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+  const signature = Buffer.from(encodedSignature, "base64url");
+  let valid;
+  if (algorithm.hmac) {
+    // Only accept HMAC tokens when a shared secret is configured
+    if (!options.jwtSecret) {
+      throw new InvalidTokenError(`Unsupported token algorithm: ${header.alg}`);
+    }
+    const expected = createHmac(algorithm.hash, options.jwtSecret)
+      .update(data)
+      .digest();
+    valid =
+      expected.length === signature.length &&
+      timingSafeEqual(expected, signature);
+  } else {
+    if (!options.jwks) {
+      throw new InvalidTokenError(`Unsupported token algorithm: ${header.alg}`);
+    }
+    const key = await options.jwks.getKey(header.kid);
+    valid = verify(
+      algorithm.hash,
+      data,
+      algorithm.ecdsa ? { key, dsaEncoding: "ieee-p1363" } : key,
+      signature
+    );
+  }
+  if (!valid) {
+    throw new InvalidTokenError("Invalid token signature");
+  }
+
+  checkClaims(payload, options);
+
+  const scopes = parseScopes(payload);
+  if (!options.requiredScopes.every((scope) => scopes.includes(scope))) {
+    throw new InsufficientScopeError("Insufficient scope");
+  }
+
+  return {
+    token,
+    clientId: payload.client_id || payload.azp || payload.sub || "jwt",
+    scopes,
+    // The SDK checks expiresAt itself, so the clock skew allowance goes here
+    expiresAt:
+      payload.exp !== undefined
+        ? payload.exp + CLOCK_SKEW_SECONDS
+        : nonExpiringExpiry(),
+    extra: { user: payload.sub },
+  };
+}
+
+function nonExpiringExpiry() {
+  return Math.floor(Date.now() / 1000) + NON_EXPIRING_TOKEN_SECONDS;
+}
+
+function checkClaims(payload, { issuer, audience }) {
+  const now = Date.now() / 1000;
+  if (payload.exp !== undefined && payload.exp + CLOCK_SKEW_SECONDS < now) {
+    throw new InvalidTokenError("Token has expired");
+  }
+  if (payload.nbf !== undefined && payload.nbf - CLOCK_SKEW_SECONDS > now) {
+    throw new InvalidTokenError("Token is not yet valid");
+  }
+  if (issuer && payload.iss !== issuer) {
+    throw new InvalidTokenError("Unexpected token issuer");
+  }
+  if (audience) {
+    const audiences = [].concat(payload.aud ?? []);
+    if (!audiences.includes(audience)) {
+      throw new InvalidTokenError("Unexpected token audience");
+    }
+  }
+}
+
+function parseScopes(payload) {
+  if (Array.isArray(payload.scp)) return payload.scp;
+  const scope = payload.scope ?? payload.scp;
+  return typeof scope === "string" ? scope.split(" ").filter(Boolean) : [];
+}
+
+/**
+ * Fetches and caches an OAuth provider's signing keys, refetching when a
+ * token names a key ID that is not cached yet.
+ */
+function createJwksCache(jwksUrl) {
+  let keys = new Map();
+  let fetchedAt = 0;
+
+  async function refresh() {
+    const response = await fetch(jwksUrl);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch JWKS: HTTP ${response.status}`);
+    }
+    const { keys: jwks = [] } = await response.json();
+    keys = new Map(
+      jwks.map((jwk) => [jwk.kid, createPublicKey({ key: jwk, format: "jwk" })])
+    );
+    fetchedAt = Date.now();
+  }
+
+  return {
+    async getKey(kid) {
+      const stale = Date.now() - fetchedAt > JWKS_REFRESH_INTERVAL_MS;
+      if (!keys.has(kid) && stale) await refresh();
+      // Tokens without a key ID are allowed when the provider publishes one key
+      const key =
+        keys.get(kid) ??
+        (!kid && keys.size === 1 ? [...keys.values()][0] : undefined);
+      if (!key) {
+        throw new InvalidTokenError("Unknown token signing key");
+      }
+      return key;
+    },
+  };
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+function splitList(value) {
+  return (value || "")
+    .split(/[\s,]+/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
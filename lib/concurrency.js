@@ -0,0 +1,34 @@
+/**
+ * Maps over a list with at most `limit` calls in flight at once. Results keep
+ * the order of the input. A rejected call stops further calls from starting
+ * and rejects the whole map with its error once the calls still in flight
+ * have settled, so nothing is left running against resources the caller
+ * cleans up afterwards. Callers that want per-item outcomes should catch
+ * inside `fn`.
+ *
+ * @param {Array} items - The items to process.
+ * @param {number} limit - Maximum concurrent calls.
+ * @param {Function} fn - Called with each item and its index.
+ * @returns {Promise<Array>} The results, in input order.
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failure;
+
+  async function worker() {
+    while (!failure && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failure ??= { error };
+      }
+    }
+  }
+
+  const workers = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  if (failure) throw failure.error;
+  return results;
+}
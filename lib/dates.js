@@ -0,0 +1,43 @@
+import { ToolError } from "./errors.js";
+
+const DATE_PATTERN =
+  /^(\d{4})-(\d{2})-(\d{2})(?:T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Parses a date filter strictly: a UTC date (YYYY-MM-DD) or an ISO 8601
+ * timestamp whose calendar date exists, so typos such as "2024-13-45" or
+ * "2024-02-30" are rejected rather than rolled over or read as NaN.
+ *
+ * @param {string} value - The date or timestamp.
+ * @param {string} field - The argument name, for the error message.
+ * @returns {number} Milliseconds since the epoch.
+ * @throws {ToolError} When the value is not a valid date.
+ */
+export function parseDate(value, field) {
+  const match = DATE_PATTERN.exec(value);
+  const time = match ? Date.parse(value) : NaN;
+  if (match && !Number.isNaN(time)) {
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (
+      date.getUTCFullYear() === year &&
+      date.getUTCMonth() === month - 1 &&
+      date.getUTCDate() === day
+    ) {
+      return time;
+    }
+  }
+  throw new ToolError(
+    `${field} must be a UTC date (YYYY-MM-DD) or ISO 8601 timestamp, got "${value}".`,
+    { code: "invalid_date" }
+  );
+}
+
+/**
+ * Checks whether a date filter is a bare date, which covers the whole day.
+ * @param {string} value - The date or timestamp.
+ * @returns {boolean}
+ */
+export function isDateOnly(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
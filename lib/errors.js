@@ -0,0 +1,114 @@
+import { OpenAIError } from "./openai-client.js";
+import { jsonContent } from "./results.js";
+
+const CONTENT_POLICY_CODES = ["content_policy_violation", "moderation_blocked"];
+const NETWORK_ERROR_CODES = [
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ENOTFOUND",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "UND_ERR_SOCKET",
+];
+
+/**
+ * Error thrown by tools for failures that are not OpenAI API errors, such as
+ * invalid local inputs or jobs that did not finish in time.
+ */
+export class ToolError extends Error {
+  constructor(
+    message,
+    { category = "invalid_request", retryable = false, code } = {}
+  ) {
+    super(message);
+    this.name = "ToolError";
+    this.category = category;
+    this.retryable = retryable;
+    this.code = code;
+  }
+}
+
+/**
+ * Classifies an error so callers can decide whether to retry, rephrase the
+ * request or give up.
+ *
+ * @param {Error} error - The error thrown by a tool.
+ * @returns {Object} The error's message, category (auth, rate_limit,
+ *   content_policy, invalid_request, not_found, budget, server, network or
+ *   cancelled), HTTP status, OpenAI code/param/type and retryable flag.
+ */
+export function classifyError(error) {
+  const details = {
+    message: error?.message || String(error),
+    category: "server",
+    retryable: false,
+  };
+  if (error instanceof ToolError) {
+    details.category = error.category;
+    details.retryable = error.retryable;
+    if (error.code) details.code = error.code;
+    return details;
+  }
+
+  if (error instanceof OpenAIError) {
+    for (const field of ["status", "code", "param", "type"]) {
+      if (error[field] !== undefined) details[field] = error[field];
+    }
+    Object.assign(details, classifyApiError(error));
+    return details;
+  }
+
+  // A cancelled call will fail the same way again if simply retried
+  if (error?.name === "AbortError") {
+    return { ...details, category: "cancelled" };
+  }
+  const code = error?.code || error?.cause?.code;
+  // fetch reports every connection failure as a TypeError("fetch failed");
+  // other TypeErrors are bugs, not network trouble
+  const fetchFailed =
+    error?.name === "TypeError" && error.message === "fetch failed";
+  if (fetchFailed || NETWORK_ERROR_CODES.includes(code)) {
+    return { ...details, category: "network", retryable: true };
+  }
+  if (code === "ENOENT" || code === "EISDIR" || code === "EACCES") {
+    return { ...details, category: "invalid_request", code };
+  }
+  return details;
+}
+
+function classifyApiError({ status, code }) {
+  if (CONTENT_POLICY_CODES.includes(code)) {
+    return { category: "content_policy", retryable: false };
+  }
+  if (status === 401 || status === 403 || code === "missing_api_key") {
+    return { category: "auth", retryable: false };
+  }
+  if (status === 408 || code === "timeout") {
+    return { category: "network", retryable: true };
+  }
+  if (status === 429) {
+    return { category: "rate_limit", retryable: code !== "insufficient_quota" };
+  }
+  if (status === 404) {
+    return { category: "not_found", retryable: false };
+  }
+  if (status === undefined || status >= 500) {
+    return { category: "server", retryable: true };
+  }
+  return { category: "invalid_request", retryable: false };
+}
+
+/**
+ * Builds an MCP tool result with `isError: true` describing the failure.
+ * @param {Error} error - The error thrown by a tool.
+ * @returns {Object} The MCP CallTool result.
+ */
+export function errorResult(error) {
+  const details = classifyError(error);
+  return {
+    isError: true,
+    content: [jsonContent({ error: details })],
+    structuredContent: { error: details },
+  };
+}
@@ -0,0 +1,77 @@
+import { randomUUID } from "crypto";
+
+/**
+ * In-memory event store for the Streamable HTTP transport. It keeps the most
+ * recent messages of a session's streams so a client that reconnects with a
+ * `Last-Event-ID` header can resume without losing responses. The store is
+ * bounded by event count and by size: once either limit is exceeded the
+ * oldest events are dropped, whichever stream they belong to.
+ */
+export class InMemoryEventStore {
+  /**
+   * @param {Object} [options] - Store options.
+   * @param {number} [options.maxEvents=1000] - How many events to keep in total.
+   * @param {number} [options.maxBytes=16777216] - How many bytes of serialized messages to keep in total.
+   */
+  constructor({ maxEvents = 1000, maxBytes = 16 * 1024 * 1024 } = {}) {
+    this.maxEvents = maxEvents;
+    this.maxBytes = maxBytes;
+    this.bytes = 0;
+    // Every stored event, oldest first
+    this.events = new Map();
+    // Event IDs of each stream, oldest first
+    this.streams = new Map();
+  }
+
+  /**
+   * Stores a message sent on a stream.
+   * @param {string} streamId - The stream the message was sent on.
+   * @param {Object} message - The JSON-RPC message.
+   * @returns {Promise<string>} The event ID assigned to the message.
+   */
+  async storeEvent(streamId, message) {
+    const eventId = randomUUID();
+    const size = Buffer.byteLength(JSON.stringify(message));
+    this.events.set(eventId, { streamId, message, size });
+    if (!this.streams.has(streamId)) this.streams.set(streamId, []);
+    this.streams.get(streamId).push(eventId);
+    this.bytes += size;
+
+    while (this.events.size > this.maxEvents || this.bytes > this.maxBytes) {
+      this.evictOldest();
+    }
+    return eventId;
+  }
+
+  /**
+   * Drops the oldest stored event, and its stream once the stream is empty.
+   */
+  evictOldest() {
+    const [eventId, { streamId, size }] = this.events.entries().next().value;
+    this.events.delete(eventId);
+    this.bytes -= size;
+    const ids = this.streams.get(streamId);
+    ids.shift();
+    if (ids.length === 0) this.streams.delete(streamId);
+  }
+
+  /**
+   * Replays the messages sent on a stream after the given event.
+   * @param {string} lastEventId - The last event the client received.
+   * @param {Object} handlers - Replay handlers.
+   * @param {Function} handlers.send - Called with each event ID and message.
+   * @returns {Promise<string>} The ID of the replayed stream, or "" if the event is unknown or was dropped.
+   */
+  async replayEventsAfter(lastEventId, { send }) {
+    const event = this.events.get(lastEventId);
+    if (!event) return "";
+
+    const ids = this.streams.get(event.streamId);
+    for (const eventId of ids.slice(ids.indexOf(lastEventId) + 1)) {
+      // Events stored during the replay can push older ones out
+      const stored = this.events.get(eventId);
+      if (stored) await send(eventId, stored.message);
+    }
+    return event.streamId;
+  }
+}
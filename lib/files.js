@@ -0,0 +1,188 @@
+import { mapWithConcurrency } from "./concurrency.js";
+import { parseDate } from "./dates.js";
+import { classifyError } from "./errors.js";
+import { openaiRequest } from "./openai-client.js";
+
+const PAGE_SIZE = 10000;
+const DAY_SECONDS = 24 * 60 * 60;
+const DATE_FILTERS = ["created_after", "created_before"];
+
+/**
+ * Lists every file in the account, following the Files API's pagination.
+ *
+ * @param {Object} [options] - Listing options.
+ * @param {string} [options.purpose] - Only list files with this purpose.
+ * @param {AbortSignal} [options.signal] - Cancels the listing.
+ * @returns {Promise<Array<Object>>} The file objects, newest first.
+ */
+export async function listAllFiles({ purpose, signal } = {}) {
+  const files = [];
+  let after;
+  for (;;) {
+    const page = await openaiRequest("/files", {
+      query: { purpose, limit: PAGE_SIZE, order: "desc", after },
+      signal,
+    });
+    const data = page.data || [];
+    files.push(...data);
+    if (!page.has_more || data.length === 0) return files;
+    after = data[data.length - 1].id;
+  }
+}
+
+/**
+ * Checks that the date filters are real dates, so a typo such as
+ * "2024-13-45" fails before any file is selected instead of matching
+ * everything.
+ *
+ * @param {Object} filters - The filters passed to `matchesFileFilters`.
+ * @throws {ToolError} When a date filter does not parse.
+ */
+export function checkFileFilters(filters) {
+  for (const field of DATE_FILTERS) {
+    if (filters[field] !== undefined) toUnixSeconds(filters[field], field);
+  }
+}
+
+/**
+ * Checks a file object against a set of filters; every given filter must
+ * match. Dates are ISO 8601 dates or timestamps, compared with `created_at`.
+ *
+ * @param {Object} file - A Files API file object.
+ * @param {Object} filters - The filters.
+ * @param {string} [filters.purpose] - Exact purpose.
+ * @param {string} [filters.filename] - Glob the whole file name must match (`*`, `?`, `[...]`).
+ * @param {string} [filters.filename_contains] - Case-insensitive text the file name must contain.
+ * @param {string} [filters.created_after] - Only files created at or after this time.
+ * @param {string} [filters.created_before] - Only files created before this time.
+ * @param {number} [filters.older_than_days] - Only files created more than this many days ago.
+ * @param {number} [filters.min_bytes] - Smallest file size.
+ * @param {number} [filters.max_bytes] - Largest file size.
+ * @param {string} [filters.status] - Exact processing status.
+ * @returns {boolean}
+ */
+export function matchesFileFilters(file, filters) {
+  const {
+    purpose,
+    filename,
+    filename_contains,
+    created_after,
+    created_before,
+    older_than_days,
+    min_bytes,
+    max_bytes,
+    status,
+  } = filters;
+  const name = file.filename || "";
+
+  if (purpose && file.purpose !== purpose) return false;
+  if (status && file.status !== status) return false;
+  if (filename && !globToRegExp(filename).test(name)) return false;
+  if (
+    filename_contains &&
+    !name.toLowerCase().includes(filename_contains.toLowerCase())
+  ) {
+    return false;
+  }
+  if (
+    created_after &&
+    file.created_at < toUnixSeconds(created_after, "created_after")
+  ) {
+    return false;
+  }
+  if (
+    created_before &&
+    file.created_at >= toUnixSeconds(created_before, "created_before")
+  ) {
+    return false;
+  }
+  if (
+    older_than_days !== undefined &&
+    file.created_at > Date.now() / 1000 - older_than_days * DAY_SECONDS
+  ) {
+    return false;
+  }
+  if (min_bytes !== undefined && file.bytes < min_bytes) return false;
+  if (max_bytes !== undefined && file.bytes > max_bytes) return false;
+  return true;
+}
+
+/**
+ * Deletes files with bounded concurrency. A failed deletion does not stop
+ * the others; each file reports its own outcome.
+ *
+ * @param {Array<Object>} files - The file objects to delete.
+ * @param {Object} [options] - Deletion options.
+ * @param {number} [options.concurrency=4] - Maximum deletions in flight at once.
+ * @param {AbortSignal} [options.signal] - Stops starting new deletions.
+ * @param {Function} [options.onDeleted] - Called after each file with the number done so far.
+ * @returns {Promise<Array<Object>>} Per-file outcomes, `deleted` or `failed` with an error.
+ */
+export async function deleteFiles(
+  files,
+  { concurrency = 4, signal, onDeleted } = {}
+) {
+  let done = 0;
+  return mapWithConcurrency(files, concurrency, async (file) => {
+    const outcome = describeFile(file);
+    try {
+      signal?.throwIfAborted();
+      await openaiRequest(`/files/${encodeURIComponent(file.id)}`, {
+        method: "DELETE",
+        signal,
+      });
+      outcome.outcome = "deleted";
+    } catch (error) {
+      outcome.outcome = "failed";
+      outcome.error = classifyError(error);
+    }
+    done += 1;
+    await onDeleted?.(done);
+    return outcome;
+  });
+}
+
+/**
+ * Picks the fields of a file object worth showing in a listing.
+ * @param {Object} file - A Files API file object.
+ * @returns {Object} The file's ID, name, purpose, size, status and creation time.
+ */
+export function describeFile(file) {
+  return {
+    id: file.id,
+    filename: file.filename,
+    purpose: file.purpose,
+    bytes: file.bytes,
+    status: file.status,
+    created_at: new Date(file.created_at * 1000).toISOString(),
+  };
+}
+
+/**
+ * Converts a file name glob to an anchored regular expression.
+ * @param {string} glob - Pattern using `*`, `?` and `[...]`.
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*") {
+      source += ".*";
+    } else if (char === "?") {
+      source += ".";
+    } else if (char === "[" && glob.indexOf("]", i + 1) > i + 1) {
+      const end = glob.indexOf("]", i + 1);
+      const set = glob.slice(i + 1, end).replace(/\\/g, "\\\\");
+      source += `[${set.replace(/^!/, "^")}]`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`, "i");
+}
+
+function toUnixSeconds(value, field) {
+  return parseDate(value, field) / 1000;
+}
@@ -0,0 +1,285 @@
+import { randomUUID } from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { isDateOnly, parseDate } from "./dates.js";
+import { readJsonLines } from "./jsonl.js";
+import { saveMediaFile } from "./output.js";
+import { extensionFor } from "./resources.js";
+import { isToolResult } from "./results.js";
+import { getSessionId } from "./usage.js";
+import { applyDefaults } from "./validation.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Longer argument values, such as base64 image inputs, are elided
+const MAX_INPUT_LENGTH = 2000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const OUTPUT_EXTRACTORS = {
+  GenerateImage: imageOutputs,
+  EditImage: imageOutputs,
+  CreateImageVariation: imageOutputs,
+  CreateSpeech: (result) => [
+    { type: "audio", path: result.path, mime_type: result.mime_type },
+  ],
+  TranscribeAudio: (result) => [
+    {
+      type: "transcript",
+      path: result.path,
+      format: result.format,
+      text: elideLongValues(result.text ?? result.content),
+    },
+  ],
+  CreateVideo: videoOutputs,
+  RemixVideo: videoOutputs,
+  DownloadVideoContent: (result) =>
+    result.files.map((file) => ({
+      type: file.variant === "video" ? "video" : "image",
+      video_id: result.video_id,
+      path: file.path,
+      mime_type: file.mime_type,
+    })),
+};
+
+/**
+ * Resolves the generation history file. Falls back to the `HISTORY_PATH`
+ * environment variable, then to `data/history.jsonl` in the project root.
+ *
+ * @returns {string} Absolute path of the history file.
+ */
+export function getHistoryPath() {
+  return path.resolve(
+    process.env.HISTORY_PATH || path.resolve(__dirname, "../data/history.jsonl")
+  );
+}
+
+/**
+ * Resolves the directory for media the history keeps itself when
+ * `HISTORY_KEEP_MEDIA=true`: images and audio a tool returned without saving
+ * them to disk. Falls back to the
+ * `HISTORY_MEDIA_DIR` environment variable, then to `data/media` in the
+ * project root.
+ *
+ * @returns {string} Absolute path of the directory.
+ */
+export function getHistoryMediaDir() {
+  return path.resolve(
+    process.env.HISTORY_MEDIA_DIR || path.resolve(__dirname, "../data/media")
+  );
+}
+
+/**
+ * Runs a tool call and, once it succeeds, records what it produced in the
+ * history. With `HISTORY_KEEP_MEDIA=true`, returned images and audio that
+ * were not saved to disk are kept in the history's media directory, so every
+ * recorded output can be found again. Records carry the caller's client ID, so authenticated clients only
+ * see their own generations. Calls to tools that produce no media run
+ * unrecorded.
+ *
+ * @param {Object} tool - The tool being called.
+ * @param {Object} args - The validated tool arguments.
+ * @param {Object} context - The tool context, identifying the session and user.
+ * @param {Function} run - Performs the call.
+ * @returns {Promise<*>} The tool's result.
+ */
+export async function recordToolCall(tool, args, context, run) {
+  const toolName = tool.definition.function.name;
+  const extractOutputs = OUTPUT_EXTRACTORS[toolName];
+  if (!extractOutputs) return run();
+
+  const result = await run();
+  const data = (isToolResult(result) ? result.structuredContent : result) || {};
+  const { tags = [], ...inputs } = args;
+  const { model } = applyDefaults(tool.definition.function.parameters, args);
+  const id = `gen_${randomUUID().replace(/-/g, "").slice(0, 20)}`;
+  const outputs = extractOutputs(data).map(withoutUndefined);
+  if (isToolResult(result) && process.env.HISTORY_KEEP_MEDIA === "true") {
+    await keepUnsavedMedia(outputs, result.content, { id, tool: toolName });
+  }
+  await appendRecord(
+    withoutUndefined({
+      id,
+      created_at: new Date().toISOString(),
+      tool: toolName,
+      model: data.model || model,
+      prompt: inputs.prompt ?? inputs.input,
+      tags,
+      inputs: elideLongValues(inputs),
+      outputs,
+      session_id: getSessionId(context),
+      client_id: context.clientId,
+      user: context.user,
+    })
+  );
+  return result;
+}
+
+/**
+ * Reads the history, newest first.
+ * @param {Object} [scope] - Which records to read.
+ * @param {string|null} [scope.clientId] - Only read this client's records;
+ *   null reads records made without authentication. Omit to read them all.
+ * @returns {Promise<Array<Object>>} The history records.
+ */
+export async function readHistory({ clientId } = {}) {
+  const records = await readJsonLines(getHistoryPath());
+  return records
+    .filter(
+      (record) =>
+        clientId === undefined || (record.client_id ?? null) === clientId
+    )
+    .reverse();
+}
+
+/**
+ * Finds a history record by ID.
+ * @param {string} id - The generation ID.
+ * @param {Object} [scope] - Which records to search, as for `readHistory`.
+ * @returns {Promise<Object|undefined>} The record, if any.
+ */
+export async function getGeneration(id, scope) {
+  return (await readHistory(scope)).find((record) => record.id === id);
+}
+
+/**
+ * Searches the history, newest first.
+ *
+ * @param {Object} [filters] - Search filters; all given filters must match.
+ * @param {string} [filters.query] - Case-insensitive text matched against prompts, revised prompts and tags.
+ * @param {string} [filters.model] - Exact model name.
+ * @param {string} [filters.tool] - Exact tool name.
+ * @param {string} [filters.tag] - Tag the record must carry.
+ * @param {string} [filters.since] - Earliest creation time (ISO date or timestamp).
+ * @param {string} [filters.until] - Latest creation time (ISO date or timestamp); a date includes the whole day.
+ * @param {number} [filters.limit=20] - Maximum records to return.
+ * @param {number} [filters.offset=0] - Records to skip, for paging.
+ * @param {string|null} [filters.clientId] - Only search this client's records, as for `readHistory`.
+ * @returns {Promise<Object>} `{ total, generations }`.
+ * @throws {ToolError} When `since` or `until` is not a valid date.
+ */
+export async function searchHistory({
+  query,
+  model,
+  tool,
+  tag,
+  since,
+  until,
+  limit = 20,
+  offset = 0,
+  clientId,
+} = {}) {
+  const needle = query?.toLowerCase();
+  const start = since === undefined ? -Infinity : parseDate(since, "since");
+  let end = until === undefined ? Infinity : parseDate(until, "until");
+  if (isDateOnly(until)) end += DAY_MS - 1;
+
+  const matches = (await readHistory({ clientId })).filter((record) => {
+    if (model && record.model !== model) return false;
+    if (tool && record.tool !== tool) return false;
+    if (tag && !record.tags?.includes(tag)) return false;
+    const created = Date.parse(record.created_at);
+    if (created < start || created > end) return false;
+    if (needle) {
+      const text = [
+        record.prompt,
+        ...(record.tags || []),
+        ...record.outputs.map((output) => output.revised_prompt),
+      ]
+        .filter(Boolean)
+        .join("\n")
+        .toLowerCase();
+      if (!text.includes(needle)) return false;
+    }
+    return true;
+  });
+
+  return {
+    total: matches.length,
+    generations: matches.slice(offset, offset + limit),
+  };
+}
+
+function imageOutputs(result) {
+  return (result.images || []).map((image) => ({
+    type: "image",
+    path: image.path,
+    mime_type: image.mime_type,
+    url: image.url,
+    revised_prompt: image.revised_prompt,
+    download_error: image.download_error,
+  }));
+}
+
+function videoOutputs(result) {
+  return [
+    {
+      type: "video",
+      video_id: result.id,
+      status: result.status,
+      seconds: result.seconds,
+      size: result.size,
+    },
+  ];
+}
+
+/**
+ * Saves the image and audio blocks of a result whose outputs have no path,
+ * pairing blocks with outputs of the same type in order. Only called when
+ * `HISTORY_KEEP_MEDIA=true`, since it writes every such output to disk.
+ */
+async function keepUnsavedMedia(outputs, content, { id, tool }) {
+  const blocks = {
+    image: content.filter((block) => block.type === "image"),
+    audio: content.filter((block) => block.type === "audio"),
+  };
+  const next = { image: 0, audio: 0 };
+  for (const [index, output] of outputs.entries()) {
+    // Images that failed to download have no block
+    if (!blocks[output.type] || output.download_error) continue;
+    const block = blocks[output.type][next[output.type]++];
+    if (output.path || !block) continue;
+    try {
+      ({ path: output.path } = await saveMediaFile({
+        directory: getHistoryMediaDir(),
+        prefix: `${id}-${index}`,
+        data: Buffer.from(block.data, "base64"),
+        extension: extensionFor(block.mimeType),
+        mimeType: block.mimeType,
+        metadata: { generation_id: id, tool },
+      }));
+    } catch (error) {
+      console.error("[Error] Failed to keep generated media:", error);
+    }
+  }
+}
+
+async function appendRecord(record) {
+  try {
+    const historyPath = getHistoryPath();
+    await fs.mkdir(path.dirname(historyPath), { recursive: true });
+    await fs.appendFile(historyPath, `${JSON.stringify(record)}\n`);
+  } catch (error) {
+    // The call already succeeded; don't fail it over the history
+    console.error("[Error] Failed to record generation:", error);
+  }
+}
+
+function elideLongValues(value) {
+  if (typeof value === "string" && value.length > MAX_INPUT_LENGTH) {
+    return `[${value.length} characters]`;
+  }
+  if (Array.isArray(value)) return value.map(elideLongValues);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, elideLongValues(item)])
+    );
+  }
+  return value;
+}
+
+function withoutUndefined(object) {
+  return Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined)
+  );
+}
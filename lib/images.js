@@ -0,0 +1,183 @@
+import { OpenAIError, openaiRequest } from "./openai-client.js";
+import { getConfiguredOutputDir, saveMediaFile } from "./output.js";
+import { readServerSentEvents } from "./sse.js";
+import { imageContent, jsonContent, toolResult } from "./results.js";
+
+const MIME_TYPES = {
+  png: "image/png",
+  jpeg: "image/jpeg",
+  webp: "image/webp",
+};
+
+const EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/webp": "webp",
+};
+
+/**
+ * Converts an Images API response into a tool result with one image content
+ * block per generated image. URL results are downloaded so the client can
+ * see them; the remaining fields are returned as metadata. When an output
+ * directory is configured, every image is also saved with a metadata sidecar.
+ *
+ * @param {Object} response - The Images API response body.
+ * @param {Object} [options] - Conversion options.
+ * @param {string} [options.tool="image"] - File name prefix identifying the tool, e.g. "generate-image".
+ * @param {string} [options.model] - The model that produced the images.
+ * @param {string} [options.outputFormat="png"] - The requested output format.
+ * @param {string} [options.outputDir] - Per-call output directory.
+ * @param {Object} [options.request] - Request fields recorded in sidecars (prompt, size, quality, ...).
+ * @returns {Promise<Object>} A tool result.
+ */
+export async function buildImageResult(
+  response,
+  { tool = "image", model, outputFormat = "png", outputDir, request = {} } = {}
+) {
+  const directory = getConfiguredOutputDir(outputDir);
+  const created = response.created || Math.floor(Date.now() / 1000);
+  const content = [];
+  const images = [];
+
+  for (const [index, item] of (response.data || []).entries()) {
+    const image = { index };
+    if (item.revised_prompt) image.revised_prompt = item.revised_prompt;
+
+    let data;
+    if (item.b64_json) {
+      image.mime_type =
+        MIME_TYPES[response.output_format || outputFormat] || "image/png";
+      data = Buffer.from(item.b64_json, "base64");
+    } else if (item.url) {
+      image.url = item.url;
+      try {
+        const download = await fetch(item.url);
+        if (!download.ok) throw new Error(`HTTP ${download.status}`);
+        image.mime_type =
+          download.headers.get("content-type")?.split(";")[0] || "image/png";
+        data = Buffer.from(await download.arrayBuffer());
+      } catch (error) {
+        image.download_error = error.message;
+      }
+    }
+
+    if (data) {
+      content.push(imageContent(data, image.mime_type));
+      if (directory) {
+        Object.assign(
+          image,
+          await saveMediaFile({
+            directory,
+            prefix: `${tool}-${created}-${index}`,
+            data,
+            extension: EXTENSIONS[image.mime_type] || "png",
+            mimeType: image.mime_type,
+            metadata: {
+              ...request,
+              revised_prompt: item.revised_prompt,
+              model,
+              size: response.size || request.size,
+              quality: response.quality || request.quality,
+              usage: response.usage,
+              created_at: new Date(created * 1000).toISOString(),
+            },
+          })
+        );
+      }
+    }
+    images.push(image);
+  }
+
+  const metadata = { created, images };
+  if (model) metadata.model = model;
+  for (const field of [
+    "background",
+    "output_format",
+    "quality",
+    "size",
+    "usage",
+  ]) {
+    if (response[field] !== undefined) metadata[field] = response[field];
+  }
+
+  content.push(jsonContent(metadata));
+  return toolResult(content, metadata);
+}
+
+/**
+ * Sends a streaming gpt-image-1 request and reports each partial image as an
+ * MCP progress notification, with the partial image attached under
+ * `_meta.partial_image`. Resolves to a body shaped like a regular Images API
+ * response so it can be passed to `buildImageResult`.
+ *
+ * @param {string} path - The Images API path.
+ * @param {Object} options - Request options.
+ * @param {Object} [options.json] - JSON request body (generations).
+ * @param {FormData} [options.body] - Multipart request body (edits).
+ * @param {number} options.partialImages - Number of partial images requested.
+ * @param {Object} [options.context] - The tool context.
+ * @returns {Promise<Object>} The final image response.
+ */
+export async function requestImageStream(
+  path,
+  { json, body, partialImages, context = {} }
+) {
+  const response = await openaiRequest(path, {
+    method: "POST",
+    json,
+    body,
+    responseType: "response",
+    images: 1,
+    signal: context.signal,
+  });
+
+  const total = partialImages + 1;
+  const result = { data: [] };
+  for await (const { data } of readServerSentEvents(response)) {
+    const event = JSON.parse(data);
+    if (event.type?.endsWith(".partial_image")) {
+      const index = event.partial_image_index + 1;
+      await context.reportProgress?.({
+        progress: index,
+        total,
+        message: `Received partial image ${index} of ${partialImages}`,
+        _meta: {
+          partial_image: {
+            type: "image",
+            data: event.b64_json,
+            mimeType: MIME_TYPES[event.output_format] || "image/png",
+          },
+        },
+      });
+    } else if (event.type?.endsWith(".completed")) {
+      result.created = event.created_at;
+      result.data.push({ b64_json: event.b64_json });
+      for (const field of [
+        "background",
+        "output_format",
+        "quality",
+        "size",
+        "usage",
+      ]) {
+        if (event[field] !== undefined) result[field] = event[field];
+      }
+      await context.reportProgress?.({
+        progress: total,
+        total,
+        message: "Image completed",
+      });
+    } else if (event.type === "error" || event.error) {
+      const details = event.error || {};
+      throw new OpenAIError(details.message || "The image stream failed.", {
+        code: details.code ?? undefined,
+        param: details.param ?? undefined,
+        type: details.type ?? undefined,
+      });
+    }
+  }
+
+  if (result.data.length === 0) {
+    throw new OpenAIError("The image stream ended without a completed image.");
+  }
+  return result;
+}
@@ -0,0 +1,263 @@
+import fs from "fs/promises";
+import path from "path";
+import { ToolError } from "./errors.js";
+import { openaiRequest } from "./openai-client.js";
+import { getOutputRoot, isInsideDirectory } from "./output.js";
+
+const MIME_TYPES = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".webp": "image/webp",
+  ".gif": "image/gif",
+};
+
+const EXTENSIONS = {
+  "image/png": "png",
+  "image/jpeg": "jpg",
+  "image/webp": "webp",
+  "image/gif": "gif",
+};
+
+const FILE_ID_PATTERN = /^file-[A-Za-z0-9_-]+$/;
+const DATA_URI_PATTERN = /^data:([^;,]+)?(;base64)?,(.*)$/s;
+// Standard or URL-safe base64, padded to a multiple of four characters
+const BASE64_PATTERN =
+  /^(?:[A-Za-z0-9+/_-]{4})*(?:[A-Za-z0-9+/_-]{2}==|[A-Za-z0-9+/_-]{3}=)?$/;
+
+const DOWNLOAD_TIMEOUT_MS = 60 * 1000;
+// The largest image the Images API accepts
+const MAX_DOWNLOAD_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Detects an image's MIME type from its leading magic bytes.
+ * @param {Buffer} data - The file bytes.
+ * @returns {string|undefined} The detected MIME type.
+ */
+export function sniffMimeType(data) {
+  if (data.length < 12) return undefined;
+  if (data.subarray(0, 8).equals(Buffer.from("89504e470d0a1a0a", "hex"))) {
+    return "image/png";
+  }
+  if (data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) {
+    return "image/jpeg";
+  }
+  if (
+    data.toString("ascii", 0, 4) === "RIFF" &&
+    data.toString("ascii", 8, 12) === "WEBP"
+  ) {
+    return "image/webp";
+  }
+  if (data.toString("ascii", 0, 4) === "GIF8") return "image/gif";
+  return undefined;
+}
+
+/**
+ * Resolves the directory that local files named in tool arguments must be
+ * inside. Falls back to the `INPUT_ROOT` environment variable, then to the
+ * output root, so generated media can be fed back into other tools.
+ *
+ * @returns {string} Absolute path of the input root.
+ */
+export function getInputRoot() {
+  return path.resolve(process.env.INPUT_ROOT || getOutputRoot());
+}
+
+/**
+ * Resolves a local file a tool call asked to read. Relative paths are taken
+ * from the input root, and files outside it, including through symbolic
+ * links, are refused, so MCP clients cannot read the server's own files such
+ * as its `.env`. A context with `unconfinedPaths` set, as the CLI passes for
+ * its local user, resolves the path from the working directory unchecked.
+ *
+ * @param {string} requested - The path from the tool arguments.
+ * @param {string} field - The argument name, for the error message.
+ * @param {Object} [context] - The tool context.
+ * @returns {Promise<string>} The absolute path.
+ * @throws {ToolError} When the path is outside the input root.
+ */
+export async function resolveInputPath(requested, field, context = {}) {
+  if (context.unconfinedPaths) return path.resolve(requested);
+  const root = getInputRoot();
+  const resolved = path.resolve(root, requested);
+  const [realRoot, realPath] = await Promise.all(
+    [root, resolved].map((value) => fs.realpath(value).catch(() => value))
+  );
+  if (
+    !isInsideDirectory(root, resolved) ||
+    !isInsideDirectory(realRoot, realPath)
+  ) {
+    throw new ToolError(
+      `${field} must be inside the input root ${root}, got "${requested}".`,
+      { code: "path_not_allowed" }
+    );
+  }
+  return resolved;
+}
+
+/**
+ * Loads a file supplied either as a local path or as an OpenAI file ID.
+ *
+ * @param {Object} source - Where to read the file from.
+ * @param {string} [source.file_path] - Local path of the file.
+ * @param {string} [source.file_id] - ID of a file stored in OpenAI's Files API.
+ * @returns {Promise<{data: Buffer, filename: string}>} The file bytes and name.
+ */
+export async function readInputFile({ file_path, file_id }) {
+  if (file_path) {
+    return {
+      data: await fs.readFile(file_path),
+      filename: path.basename(file_path),
+    };
+  }
+  if (file_id) {
+    const filePath = `/files/${encodeURIComponent(file_id)}`;
+    const [file, data] = await Promise.all([
+      openaiRequest(filePath),
+      openaiRequest(`${filePath}/content`, { responseType: "buffer" }),
+    ]);
+    return { data, filename: file.filename || file_id };
+  }
+  throw new ToolError("Either file_path or file_id must be provided.");
+}
+
+/**
+ * Loads an image given as a local file path, an http(s) URL, a data URI, an
+ * OpenAI file ID or a raw base64 string, and detects its real MIME type.
+ *
+ * Local paths must be inside the input root, as for `resolveInputPath`.
+ *
+ * @param {string} value - The image reference.
+ * @param {string} [name="image"] - Base name used for the upload's file name.
+ * @param {Object} [context] - The tool context, used to resolve local paths.
+ * @returns {Promise<{data: Buffer, filename: string, mimeType: string}>} The image.
+ */
+export async function readImageInput(value, name = "image", context = {}) {
+  let data;
+  let filename;
+  let declaredType;
+  let refusal;
+
+  const dataUri = value.match(DATA_URI_PATTERN);
+  if (dataUri) {
+    declaredType = dataUri[1];
+    data = dataUri[2]
+      ? Buffer.from(dataUri[3], "base64")
+      : Buffer.from(decodeURIComponent(dataUri[3]));
+  } else if (/^https?:\/\//i.test(value)) {
+    ({ data, declaredType } = await downloadImage(value, name));
+    filename = path.basename(new URL(value).pathname);
+  } else if (FILE_ID_PATTERN.test(value)) {
+    ({ data, filename } = await readInputFile({ file_id: value }));
+  } else {
+    // Paths outside the input root are refused without looking at them, so
+    // the error does not tell whether such a file exists
+    const localPath = await resolveInputPath(value, name, context).catch(
+      (error) => {
+        refusal = error;
+      }
+    );
+    if (localPath && (await isFile(localPath))) {
+      ({ data, filename } = await readInputFile({ file_path: localPath }));
+    }
+  }
+
+  if (!data) {
+    // Anything else must be base64 of a real image, so a mistyped path is
+    // reported as such rather than uploaded as garbage bytes
+    const base64 = value.replace(/\s+/g, "");
+    data = BASE64_PATTERN.test(base64) ? Buffer.from(base64, "base64") : null;
+    if (!data?.length || !sniffMimeType(data)) {
+      if (refusal) throw refusal;
+      const shown = value.length > 100 ? `${value.slice(0, 100)}...` : value;
+      throw new ToolError(
+        `The ${name} was not found: "${shown}" is not an existing file, URL, OpenAI file ID, data URI or base64-encoded image.`,
+        { category: "not_found", code: "file_not_found" }
+      );
+    }
+  }
+
+  if (data.length === 0) {
+    throw new ToolError(`The ${name} is empty or could not be decoded.`);
+  }
+
+  const mimeType =
+    sniffMimeType(data) ||
+    (filename && MIME_TYPES[path.extname(filename).toLowerCase()]) ||
+    declaredType ||
+    "image/png";
+  return {
+    data,
+    filename: `${name}.${EXTENSIONS[mimeType] || "png"}`,
+    mimeType,
+  };
+}
+
+/**
+ * Downloads an image URL, giving up after `DOWNLOAD_TIMEOUT_MS` or once the
+ * body passes `MAX_DOWNLOAD_BYTES`.
+ */
+async function downloadImage(url, name) {
+  let response;
+  try {
+    response = await fetch(url, {
+      signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS),
+    });
+  } catch (error) {
+    throw downloadError(error, url, name);
+  }
+  if (!response.ok) {
+    await response.body?.cancel();
+    throw new ToolError(
+      `Failed to download ${name} from ${url}: HTTP ${response.status}`,
+      { category: response.status === 404 ? "not_found" : "network" }
+    );
+  }
+
+  const tooLarge = () =>
+    new ToolError(
+      `The ${name} at ${url} is larger than ${MAX_DOWNLOAD_BYTES / 1024 / 1024} MB.`,
+      { code: "file_too_large" }
+    );
+  if (Number(response.headers.get("content-length")) > MAX_DOWNLOAD_BYTES) {
+    await response.body?.cancel();
+    throw tooLarge();
+  }
+
+  const chunks = [];
+  let bytes = 0;
+  try {
+    for await (const chunk of response.body || []) {
+      bytes += chunk.length;
+      // Leaving the loop cancels the rest of the download
+      if (bytes > MAX_DOWNLOAD_BYTES) throw tooLarge();
+      chunks.push(chunk);
+    }
+  } catch (error) {
+    throw error instanceof ToolError ? error : downloadError(error, url, name);
+  }
+  return {
+    data: Buffer.concat(chunks),
+    declaredType: response.headers.get("content-type")?.split(";")[0],
+  };
+}
+
+function downloadError(error, url, name) {
+  const timedOut = error.name === "TimeoutError";
+  return new ToolError(
+    timedOut
+      ? `Timed out downloading ${name} from ${url} after ${DOWNLOAD_TIMEOUT_MS / 1000}s.`
+      : `Failed to download ${name} from ${url}: ${error.cause?.message || error.message}`,
+    { category: "network", retryable: true }
+  );
+}
+
+async function isFile(value) {
+  // Long strings are base64 payloads, not paths
+  if (value.length > 4096) return false;
+  try {
+    return (await fs.stat(value)).isFile();
+  } catch (e) {
+    return false;
+  }
+}
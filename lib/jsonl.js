@@ -0,0 +1,36 @@
+import fs from "fs/promises";
+
+/**
+ * Parses JSON Lines text, skipping blank lines and lines cut short by a
+ * crash mid-write.
+ * @param {string} text - The JSON Lines text.
+ * @returns {Array<*>} The parsed values, in order.
+ */
+export function parseJsonLines(text) {
+  const values = [];
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      values.push(JSON.parse(line));
+    } catch (error) {
+      // Skip lines cut short by a crash mid-write
+    }
+  }
+  return values;
+}
+
+/**
+ * Reads a JSON Lines file such as the history or the usage ledger.
+ * @param {string} filePath - Path of the file.
+ * @returns {Promise<Array<*>>} The parsed values, in order; empty if the file does not exist.
+ */
+export async function readJsonLines(filePath) {
+  let text;
+  try {
+    text = await fs.readFile(filePath, "utf8");
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+  return parseJsonLines(text);
+}
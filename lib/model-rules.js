@@ -0,0 +1,121 @@
+const GPT_IMAGE_SIZES = ["1024x1024", "1536x1024", "1024x1536", "auto"];
+const DALL_E_2_SIZES = ["256x256", "512x512", "1024x1024"];
+const GPT_IMAGE_QUALITIES = ["auto", "low", "medium", "high"];
+const GPT_IMAGE_ONLY = [
+  "background",
+  "moderation",
+  "output_compression",
+  "output_format",
+  "partial_images",
+];
+const TTS_1_VOICES = [
+  "alloy",
+  "ash",
+  "coral",
+  "echo",
+  "fable",
+  "onyx",
+  "nova",
+  "sage",
+  "shimmer",
+];
+
+/**
+ * Checks shared by gpt-image-1 generation and edits.
+ * @type {Array<Object>}
+ */
+const GPT_IMAGE_CHECKS = [
+  {
+    field: "output_compression",
+    test: (args) =>
+      args.output_compression === undefined ||
+      ["jpeg", "webp"].includes(args.output_format),
+    message: 'requires output_format "jpeg" or "webp"',
+  },
+  {
+    field: "background",
+    test: (args) =>
+      args.background !== "transparent" || args.output_format !== "jpeg",
+    message: 'cannot be "transparent" with output_format "jpeg"',
+  },
+];
+
+/**
+ * Per-model constraints for tools whose valid options depend on the selected
+ * model, keyed by tool name and then by model.
+ *
+ * - `allowed` restricts a field to a set of values.
+ * - `maximum`, `maxLength` and `maxItems` cap numbers, string lengths and
+ *   array lengths (a single string counts as one item).
+ * - `unsupported` lists fields the model does not accept. They are dropped
+ *   with a warning, or rejected when strict validation is enabled.
+ * - `checks` are cross-field tests that reject the named field when they fail.
+ *
+ * @type {Object<string, Object<string, Object>>}
+ */
+export const MODEL_RULES = {
+  GenerateImage: {
+    "dall-e-2": {
+      allowed: { size: DALL_E_2_SIZES, quality: ["standard", "auto"] },
+      maximum: { n: 10 },
+      maxLength: { prompt: 1000 },
+      unsupported: ["style", ...GPT_IMAGE_ONLY],
+    },
+    "dall-e-3": {
+      allowed: {
+        size: ["1024x1024", "1792x1024", "1024x1792"],
+        quality: ["standard", "hd", "auto"],
+      },
+      maximum: { n: 1 },
+      maxLength: { prompt: 4000 },
+      unsupported: GPT_IMAGE_ONLY,
+    },
+    "gpt-image-1": {
+      allowed: { size: GPT_IMAGE_SIZES, quality: GPT_IMAGE_QUALITIES },
+      maximum: { n: 10 },
+      maxLength: { prompt: 32000 },
+      unsupported: ["style", "response_format"],
+      checks: GPT_IMAGE_CHECKS,
+    },
+  },
+  EditImage: {
+    "dall-e-2": {
+      allowed: { size: DALL_E_2_SIZES, quality: ["standard"] },
+      maxItems: { image: 1 },
+      maxLength: { prompt: 1000 },
+      unsupported: ["input_fidelity", ...GPT_IMAGE_ONLY],
+    },
+    "gpt-image-1": {
+      allowed: { size: GPT_IMAGE_SIZES, quality: GPT_IMAGE_QUALITIES },
+      maxItems: { image: 16 },
+      maxLength: { prompt: 32000 },
+      unsupported: ["response_format"],
+      checks: GPT_IMAGE_CHECKS,
+    },
+  },
+  CreateSpeech: {
+    "tts-1": {
+      allowed: { voice: TTS_1_VOICES },
+      unsupported: ["instructions"],
+    },
+    "tts-1-hd": {
+      allowed: { voice: TTS_1_VOICES },
+      unsupported: ["instructions"],
+    },
+  },
+  TranscribeAudio: {
+    "gpt-4o-transcribe": {
+      allowed: { response_format: ["json", "text"] },
+      unsupported: ["timestamp_granularities"],
+    },
+    "gpt-4o-mini-transcribe": {
+      allowed: { response_format: ["json", "text"] },
+      unsupported: ["timestamp_granularities"],
+    },
+  },
+  CreateVideo: {
+    "sora-2": {
+      allowed: { size: ["720x1280", "1280x720"] },
+    },
+  },
+};
@@ -0,0 +1,360 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { getQueueReporter, getRequestQueue } from "./request-queue.js";
+
+const DEFAULT_BASE_URL = "https://api.openai.com/v1";
+const DEFAULT_TIMEOUT_MS = 10 * 60 * 1000;
+const DEFAULT_MAX_RETRIES = 2;
+const INITIAL_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 60 * 1000;
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+
+const configOverrides = new AsyncLocalStorage();
+const requestTrackers = new AsyncLocalStorage();
+
+/**
+ * Error raised for failed OpenAI API calls. Carries the HTTP status and the
+ * `code`, `param` and `type` fields from OpenAI's error payload when present.
+ */
+export class OpenAIError extends Error {
+  constructor(message, { status, code, param, type, headers, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "OpenAIError";
+    this.status = status;
+    this.code = code;
+    this.param = param;
+    this.type = type;
+    this.headers = headers;
+  }
+}
+
+/**
+ * Reads the client configuration from the environment, with any overrides
+ * set by `withClientConfig` for the current call taking precedence.
+ * @returns {Object} The resolved client configuration.
+ */
+export function getClientConfig() {
+  const env = process.env;
+  const overrides = configOverrides.getStore() || {};
+  return {
+    apiKey: env.OPENAI_API_KEY || env.API_KEY,
+    baseUrl: (env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, ""),
+    organization: env.OPENAI_ORGANIZATION || env.OPENAI_ORG_ID,
+    project: env.OPENAI_PROJECT || env.OPENAI_PROJECT_ID,
+    timeoutMs: parseInteger(env.OPENAI_TIMEOUT_MS, DEFAULT_TIMEOUT_MS),
+    maxRetries: parseInteger(env.OPENAI_MAX_RETRIES, DEFAULT_MAX_RETRIES),
+    ...overrides,
+  };
+}
+
+/**
+ * Runs a function with client configuration overrides, e.g. the OpenAI key a
+ * client supplied for its session. Every `openaiRequest` made while the
+ * function runs, including from nested async calls, uses the overrides.
+ *
+ * @param {Object} overrides - Configuration fields to override; undefined values are ignored.
+ * @param {Function} fn - The function to run.
+ * @returns {*} The function's return value.
+ */
+export function withClientConfig(overrides, fn) {
+  const defined = Object.fromEntries(
+    Object.entries(overrides || {}).filter(([, value]) => value !== undefined)
+  );
+  return configOverrides.run(defined, fn);
+}
+
+/**
+ * Runs a function while noting whether OpenAI may have billed any request it
+ * makes: `tracker.accepted` is set when a request other than a GET succeeds,
+ * and `tracker.unconfirmed` when one fails without a response, so it may
+ * have run anyway.
+ *
+ * @param {Object} tracker - Object the flags are set on.
+ * @param {Function} fn - The function to run.
+ * @returns {*} The function's return value.
+ */
+export function trackRequests(tracker, fn) {
+  return requestTrackers.run(tracker, fn);
+}
+
+/**
+ * Sends a request to the OpenAI API, retrying rate-limited and server errors
+ * with exponential backoff. Network errors and timeouts are only retried for
+ * idempotent methods: a POST may have reached OpenAI and been billed even
+ * though no response came back. Each attempt first waits for a slot in the
+ * API key's request queue.
+ *
+ * @param {string} path - API path relative to the base URL (e.g. "/images/generations").
+ * @param {Object} [options] - Request options.
+ * @param {string} [options.method="GET"] - HTTP method.
+ * @param {Object} [options.query] - Query parameters; undefined values are skipped.
+ * @param {Object} [options.json] - JSON request body.
+ * @param {FormData|Blob|Buffer|string} [options.body] - Raw request body, e.g. multipart form data.
+ * @param {Object} [options.headers] - Extra request headers.
+ * @param {string} [options.responseType="json"] - One of "json", "text", "buffer" or "response".
+ * @param {AbortSignal} [options.signal] - Signal that cancels the request.
+ * @param {number} [options.timeoutMs] - Per-attempt timeout, overriding the configured one.
+ * @param {number} [options.maxRetries] - Retry limit, overriding the configured one.
+ * @param {number} [options.images=0] - Images the request generates, counted against the images-per-minute limit.
+ * @returns {Promise<*>} The parsed response body, or the Response for "response",
+ *   whose body must be read or cancelled to free its slot in the queue.
+ */
+export async function openaiRequest(path, options = {}) {
+  const config = getClientConfig();
+  const {
+    method = "GET",
+    query,
+    json,
+    body,
+    headers: extraHeaders,
+    responseType = "json",
+    signal,
+    timeoutMs = config.timeoutMs,
+    maxRetries = config.maxRetries,
+    images = 0,
+  } = options;
+
+  if (!config.apiKey) {
+    throw new OpenAIError("OPENAI_API_KEY environment variable is not set.", {
+      code: "missing_api_key",
+    });
+  }
+
+  const url = new URL(`${config.baseUrl}${path}`);
+  for (const [key, value] of Object.entries(query || {})) {
+    if (value !== undefined && value !== null) {
+      url.searchParams.append(key, String(value));
+    }
+  }
+
+  const headers = { Authorization: `Bearer ${config.apiKey}` };
+  if (config.organization) headers["OpenAI-Organization"] = config.organization;
+  if (config.project) headers["OpenAI-Project"] = config.project;
+  if (json !== undefined) headers["Content-Type"] = "application/json";
+  Object.assign(headers, extraHeaders);
+
+  const requestBody = json !== undefined ? JSON.stringify(json) : body;
+  const queue = getRequestQueue(config.apiKey);
+  const onPosition = getQueueReporter();
+  const tracker = requestTrackers.getStore() || {};
+
+  for (let attempt = 0; ; attempt++) {
+    const release = await queue.acquire({ images, signal, onPosition });
+    let response;
+    let unlink;
+    try {
+      ({ response, unlink } = await fetchWithTimeout(
+        url,
+        { method, headers, body: requestBody },
+        timeoutMs,
+        signal
+      ));
+    } catch (error) {
+      release();
+      if (method.toUpperCase() !== "GET") tracker.unconfirmed = true;
+      if (
+        signal?.aborted ||
+        attempt >= maxRetries ||
+        !IDEMPOTENT_METHODS.includes(method.toUpperCase())
+      ) {
+        throw error;
+      }
+      await sleep(retryDelay(attempt), signal);
+      continue;
+    }
+    const done = () => {
+      unlink();
+      release();
+    };
+
+    if (response.ok) {
+      if (method.toUpperCase() !== "GET") tracker.accepted = true;
+      // A streamed body keeps its queue slot and abort link until it is read
+      if (responseType === "response") return onBodyDone(response, done);
+      try {
+        return await parseResponse(response, responseType);
+      } finally {
+        done();
+      }
+    }
+
+    let error;
+    try {
+      error = await toOpenAIError(response);
+    } finally {
+      done();
+    }
+    if (attempt >= maxRetries || !isRetryable(error)) throw error;
+    await sleep(retryDelay(attempt, response.headers), signal);
+  }
+}
+
+/**
+ * Sends the request, aborting it when the timeout fires before the response
+ * headers arrive or when the caller's signal aborts.
+ * @returns {Promise<Object>} The response, and `unlink` to call once its body
+ *   has been read, which stops the caller's signal from aborting it.
+ */
+async function fetchWithTimeout(url, init, timeoutMs, signal) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  if (signal?.aborted) onAbort();
+  signal?.addEventListener("abort", onAbort, { once: true });
+  const unlink = () => signal?.removeEventListener("abort", onAbort);
+
+  const timer = setTimeout(
+    () =>
+      controller.abort(
+        new OpenAIError(`Request timed out after ${timeoutMs}ms`, {
+          code: "timeout",
+        })
+      ),
+    timeoutMs
+  );
+  try {
+    const response = await fetch(url, { ...init, signal: controller.signal });
+    return { response, unlink };
+  } catch (error) {
+    unlink();
+    // Surface our own timeout error rather than the generic AbortError
+    if (controller.signal.aborted && controller.signal.reason instanceof Error) {
+      throw controller.signal.reason;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Wraps a response so `done` runs once its body has been read to the end,
+ * has failed or has been cancelled.
+ */
+function onBodyDone(response, done) {
+  if (!response.body) {
+    done();
+    return response;
+  }
+
+  const reader = response.body.getReader();
+  let finished = false;
+  const finish = () => {
+    if (!finished) {
+      finished = true;
+      done();
+    }
+  };
+  const body = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done: ended, value } = await reader.read();
+        if (ended) {
+          finish();
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
+      } catch (error) {
+        finish();
+        controller.error(error);
+      }
+    },
+    async cancel(reason) {
+      finish();
+      await reader.cancel(reason);
+    },
+  });
+  return new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+  });
+}
+
+async function parseResponse(response, responseType) {
+  switch (responseType) {
+    case "text":
+      return response.text();
+    case "buffer":
+      return Buffer.from(await response.arrayBuffer());
+    default: {
+      const text = await response.text();
+      return text ? JSON.parse(text) : {};
+    }
+  }
+}
+
+async function toOpenAIError(response) {
+  let message = `HTTP ${response.status}: ${response.statusText}`;
+  let details = {};
+  try {
+    const errorData = await response.json();
+    details = errorData?.error || {};
+    message = details.message || JSON.stringify(errorData);
+  } catch (e) {
+    // Response wasn't JSON, use the HTTP status message
+  }
+  return new OpenAIError(message, {
+    status: response.status,
+    code: details.code ?? undefined,
+    param: details.param ?? undefined,
+    type: details.type ?? undefined,
+    headers: response.headers,
+  });
+}
+
+function isRetryable(error) {
+  // Exhausted quota is reported as a 429 but will not recover by waiting
+  if (error.code === "insufficient_quota") return false;
+  return error.status === 408 || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Computes the delay before the next attempt, preferring the server's
+ * Retry-After hint over exponential backoff with jitter.
+ */
+function retryDelay(attempt, headers) {
+  const retryAfterMs = Number(headers?.get("retry-after-ms"));
+  if (retryAfterMs > 0) return Math.min(retryAfterMs, MAX_RETRY_DELAY_MS);
+
+  const retryAfter = headers?.get("retry-after");
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delayMs = Number.isNaN(seconds)
+      ? Date.parse(retryAfter) - Date.now()
+      : seconds * 1000;
+    if (delayMs >= 0) return Math.min(delayMs, MAX_RETRY_DELAY_MS);
+  }
+
+  const backoff = Math.min(
+    INITIAL_RETRY_DELAY_MS * 2 ** attempt,
+    MAX_RETRY_DELAY_MS
+  );
+  return backoff * (0.75 + Math.random() * 0.25);
+}
+
+/**
+ * Waits for a delay, rejecting with the signal's reason if it is aborted
+ * first.
+ * @param {number} ms - The delay in milliseconds.
+ * @param {AbortSignal} [signal] - Signal that cancels the wait.
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+function parseInteger(value, fallback) {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
@@ -0,0 +1,179 @@
+import { createHash } from "crypto";
+import { createWriteStream } from "fs";
+import fs from "fs/promises";
+import path from "path";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import { fileURLToPath } from "url";
+import { ToolError } from "./errors.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Resolves the directory generated media is written to. Falls back to the
+ * `MEDIA_OUTPUT_DIR` environment variable, then to `output/` in the project root.
+ *
+ * @param {string} [outputDir] - Directory requested by the caller.
+ * @returns {string} Absolute path of the output directory.
+ */
+export function getOutputDir(outputDir) {
+  return path.resolve(
+    outputDir ||
+      process.env.MEDIA_OUTPUT_DIR ||
+      path.resolve(__dirname, "../output")
+  );
+}
+
+/**
+ * Resolves the directory that paths supplied in tool arguments must stay
+ * inside. Falls back to the `OUTPUT_ROOT` environment variable, then to the
+ * media output directory.
+ *
+ * @returns {string} Absolute path of the output root.
+ */
+export function getOutputRoot() {
+  return path.resolve(process.env.OUTPUT_ROOT || getOutputDir());
+}
+
+/**
+ * Resolves a path a tool call asked to write to. Relative paths are taken
+ * from the output root, and paths that lead outside it are refused, so MCP
+ * clients cannot write wherever the server can. A context with
+ * `unconfinedPaths` set, as the CLI passes for its local user, resolves the
+ * path from the working directory without checking it.
+ *
+ * @param {string} requested - The path from the tool arguments.
+ * @param {string} field - The argument name, for the error message.
+ * @param {Object} [context] - The tool context.
+ * @returns {string} The absolute path.
+ * @throws {ToolError} When the path is outside the output root.
+ */
+export function resolveOutputPath(requested, field, context = {}) {
+  if (context.unconfinedPaths) return path.resolve(requested);
+  const root = getOutputRoot();
+  const resolved = path.resolve(root, requested);
+  if (!isInsideDirectory(root, resolved)) {
+    throw new ToolError(
+      `${field} must be inside the output root ${root}, got "${requested}".`,
+      { code: "path_not_allowed" }
+    );
+  }
+  return resolved;
+}
+
+/**
+ * Checks whether a path is a directory or lies below it.
+ * @param {string} directory - Absolute path of the directory.
+ * @param {string} target - Absolute path to check.
+ * @returns {boolean}
+ */
+export function isInsideDirectory(directory, target) {
+  const relative = path.relative(directory, target);
+  return !(
+    relative === ".." ||
+    relative.startsWith(`..${path.sep}`) ||
+    path.isAbsolute(relative)
+  );
+}
+
+/**
+ * Writes a file, creating its parent directories as needed.
+ * @param {string} filePath - Destination path.
+ * @param {Buffer|string} data - File contents.
+ * @returns {Promise<string>} Absolute path of the written file.
+ */
+export async function writeOutputFile(filePath, data) {
+  const absolutePath = path.resolve(filePath);
+  await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+  await fs.writeFile(absolutePath, data);
+  return absolutePath;
+}
+
+/**
+ * Streams a response body to a file without holding it in memory. The bytes
+ * go to a `.part` file that is renamed into place once complete, so an
+ * interrupted download never leaves a truncated file behind.
+ *
+ * @param {string} filePath - Destination path.
+ * @param {ReadableStream} body - The web stream to write, e.g. `response.body`.
+ * @param {Function} [onProgress] - Called with the bytes written so far.
+ * @returns {Promise<{path: string, bytes: number}>} The written file.
+ */
+export async function streamOutputFile(filePath, body, onProgress) {
+  const absolutePath = path.resolve(filePath);
+  const partPath = `${absolutePath}.part`;
+  await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+
+  let bytes = 0;
+  try {
+    await pipeline(
+      Readable.fromWeb(body),
+      async function* (source) {
+        for await (const chunk of source) {
+          bytes += chunk.length;
+          await onProgress?.(bytes);
+          yield chunk;
+        }
+      },
+      createWriteStream(partPath)
+    );
+    await fs.rename(partPath, absolutePath);
+  } catch (error) {
+    await fs.rm(partPath, { force: true });
+    throw error;
+  }
+  return { path: absolutePath, bytes };
+}
+
+/**
+ * Returns the output directory only when persistence was requested, either
+ * per call or through the `MEDIA_OUTPUT_DIR` environment variable.
+ *
+ * @param {string} [outputDir] - Directory requested by the caller.
+ * @returns {string|undefined} Absolute path of the output directory.
+ */
+export function getConfiguredOutputDir(outputDir) {
+  const directory = outputDir || process.env.MEDIA_OUTPUT_DIR;
+  return directory ? path.resolve(directory) : undefined;
+}
+
+/**
+ * Saves generated media under a deterministic, content-addressed file name
+ * and writes a JSON metadata sidecar next to it.
+ *
+ * @param {Object} options - What to save.
+ * @param {string} options.directory - Directory to write to.
+ * @param {string} options.prefix - File name prefix, e.g. "generate-image-1700000000-0".
+ * @param {Buffer} options.data - The media bytes.
+ * @param {string} options.extension - File extension without the dot.
+ * @param {string} options.mimeType - The media MIME type.
+ * @param {Object} [options.metadata] - Fields recorded in the sidecar.
+ * @returns {Promise<{path: string, metadata_path: string}>} The saved file paths.
+ */
+export async function saveMediaFile({
+  directory,
+  prefix,
+  data,
+  extension,
+  mimeType,
+  metadata = {},
+}) {
+  const hash = createHash("sha256").update(data).digest("hex").slice(0, 16);
+  const fileName = `${prefix}-${hash}.${extension}`;
+  const filePath = await writeOutputFile(path.join(directory, fileName), data);
+  const metadataPath = await writeOutputFile(
+    `${filePath}.json`,
+    JSON.stringify(
+      {
+        ...metadata,
+        file: fileName,
+        mime_type: mimeType,
+        bytes: data.length,
+        saved_at: new Date().toISOString(),
+      },
+      null,
+      2
+    )
+  );
+  return { path: filePath, metadata_path: metadataPath };
+}
@@ -0,0 +1,173 @@
+/**
+ * Published OpenAI prices in USD, used to estimate what each billable tool
+ * call cost. Token-billed calls are priced from the `usage` the API returns;
+ * everything else from the request parameters. Prices change, so treat the
+ * results as estimates and check them against the billing dashboard.
+ */
+
+const PER_MILLION = 1 / 1_000_000;
+
+// Per-image prices for models billed by size and quality
+const IMAGE_PRICES = {
+  "dall-e-2": {
+    standard: { "256x256": 0.016, "512x512": 0.018, "1024x1024": 0.02 },
+  },
+  "dall-e-3": {
+    standard: { "1024x1024": 0.04, "1792x1024": 0.08, "1024x1792": 0.08 },
+    hd: { "1024x1024": 0.08, "1792x1024": 0.12, "1024x1792": 0.12 },
+  },
+  // Used for gpt-image-1 only when the response carries no token usage
+  "gpt-image-1": {
+    low: { "1024x1024": 0.011, "1536x1024": 0.016, "1024x1536": 0.016 },
+    medium: { "1024x1024": 0.042, "1536x1024": 0.063, "1024x1536": 0.063 },
+    high: { "1024x1024": 0.167, "1536x1024": 0.25, "1024x1536": 0.25 },
+  },
+};
+
+// Per-token prices for token-billed image models
+const IMAGE_TOKEN_PRICES = {
+  "gpt-image-1": { text_input: 5, image_input: 10, output: 40 },
+};
+
+// Per-character prices for speech
+const SPEECH_PRICES = {
+  "tts-1": 15,
+  "tts-1-hd": 30,
+  "gpt-4o-mini-tts": 15,
+};
+
+// Per-minute and per-token prices for transcription
+const TRANSCRIPTION_PRICES = {
+  "whisper-1": { minute: 0.006 },
+  "gpt-4o-transcribe": { minute: 0.006, input: 6, output: 10 },
+  "gpt-4o-mini-transcribe": { minute: 0.003, input: 3, output: 5 },
+};
+
+// Per-second prices for video, by size
+const VIDEO_PRICES = {
+  "sora-2": { default: 0.1 },
+  "sora-2-pro": { default: 0.3, "1024x1792": 0.5, "1792x1024": 0.5 },
+};
+
+const ESTIMATORS = {
+  GenerateImage: estimateImageCost,
+  EditImage: estimateImageCost,
+  CreateImageVariation: estimateImageCost,
+  CreateSpeech: estimateSpeechCost,
+  TranscribeAudio: estimateTranscriptionCost,
+  CreateVideo: estimateVideoCost,
+  RemixVideo: estimateVideoCost,
+};
+
+/**
+ * Checks whether calls to a tool are billed by OpenAI.
+ * @param {string} toolName - The tool name.
+ * @returns {boolean}
+ */
+export function isBillable(toolName) {
+  return toolName in ESTIMATORS;
+}
+
+/**
+ * Estimates the cost of a tool call. Called before the call with only the
+ * arguments, and again afterwards with the result for the actual figures.
+ *
+ * @param {string} toolName - The tool name.
+ * @param {Object} args - The tool arguments, with schema defaults applied.
+ * @param {Object} [result] - The tool's structured result, when available.
+ * @returns {Object} The usage record: model, size, quality, n, tokens and `cost_usd`.
+ */
+export function estimateCost(toolName, args, result) {
+  const estimator = ESTIMATORS[toolName];
+  return estimator ? estimator(args, result || {}) : { cost_usd: 0 };
+}
+
+function estimateImageCost(args, result) {
+  const model = result.model || args.model;
+  const n = result.images?.length ?? args.n ?? 1;
+  const quality = result.quality || args.quality;
+  const size = result.size || args.size;
+  const usage = result.usage;
+
+  const tokenPrices = IMAGE_TOKEN_PRICES[model];
+  if (tokenPrices && usage) {
+    const details = usage.input_tokens_details || {};
+    const textTokens = details.text_tokens ?? usage.input_tokens ?? 0;
+    const imageTokens = details.image_tokens ?? 0;
+    const cost =
+      (textTokens * tokenPrices.text_input +
+        imageTokens * tokenPrices.image_input +
+        (usage.output_tokens ?? 0) * tokenPrices.output) *
+      PER_MILLION;
+    return {
+      model,
+      size,
+      quality,
+      n,
+      tokens: tokenCounts(usage),
+      cost_usd: round(cost),
+    };
+  }
+
+  const prices = IMAGE_PRICES[model] || {};
+  const tier = prices[quality] || prices.standard || prices.medium || {};
+  const perImage = tier[size] ?? tier["1024x1024"] ?? 0;
+  return { model, size, quality, n, cost_usd: round(perImage * n) };
+}
+
+function estimateSpeechCost(args) {
+  const characters = args.input?.length ?? 0;
+  const rate = SPEECH_PRICES[args.model] ?? 0;
+  return {
+    model: args.model,
+    characters,
+    cost_usd: round(characters * rate * PER_MILLION),
+  };
+}
+
+function estimateTranscriptionCost(args, result) {
+  const prices = TRANSCRIPTION_PRICES[args.model] || {};
+  const usage = result.usage;
+  if (usage?.type === "tokens" && prices.input) {
+    const cost =
+      ((usage.input_tokens ?? 0) * prices.input +
+        (usage.output_tokens ?? 0) * prices.output) *
+      PER_MILLION;
+    return {
+      model: args.model,
+      tokens: tokenCounts(usage),
+      cost_usd: round(cost),
+    };
+  }
+
+  // Duration is only known from verbose_json or duration-based usage
+  const seconds = usage?.type === "duration" ? usage.seconds : result.duration;
+  return {
+    model: args.model,
+    seconds,
+    cost_usd: round(((seconds ?? 0) / 60) * (prices.minute ?? 0)),
+  };
+}
+
+function estimateVideoCost(args, result) {
+  const model = result.model || args.model;
+  const size = result.size || args.size;
+  const seconds = Number(result.seconds ?? args.seconds ?? 0);
+  const prices = VIDEO_PRICES[model] || {};
+  const perSecond = prices[size] ?? prices.default ?? 0;
+  return { model, size, seconds, cost_usd: round(seconds * perSecond) };
+}
+
+function tokenCounts(usage) {
+  return {
+    input: usage.input_tokens ?? 0,
+    output: usage.output_tokens ?? 0,
+    total:
+      usage.total_tokens ??
+      (usage.input_tokens ?? 0) + (usage.output_tokens ?? 0),
+  };
+}
+
+function round(value) {
+  return Math.round(value * 1_000_000) / 1_000_000;
+}
@@ -0,0 +1,180 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { validateToolArguments } from "./validation.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z0-9_]+)\s*\}\}/g;
+
+/**
+ * Resolves the directory prompt templates are loaded from. Falls back to the
+ * `PROMPTS_DIR` environment variable, then to `prompts/` in the project root.
+ *
+ * @returns {string} Absolute path of the templates directory.
+ */
+export function getPromptsDir() {
+  return path.resolve(
+    process.env.PROMPTS_DIR || path.resolve(__dirname, "../prompts")
+  );
+}
+
+/**
+ * Loads every `*.json` prompt template from a directory. Templates are read
+ * on each call so new house styles show up without a restart; files that
+ * fail to parse or lack required fields are logged and skipped.
+ *
+ * @param {string} [directory=getPromptsDir()] - The templates directory.
+ * @returns {Promise<Array<Object>>} The templates, sorted by name.
+ */
+export async function loadPromptTemplates(directory = getPromptsDir()) {
+  let entries;
+  try {
+    entries = await fs.readdir(directory);
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const templates = [];
+  for (const entry of entries.filter((name) => name.endsWith(".json"))) {
+    const filePath = path.join(directory, entry);
+    try {
+      const template = JSON.parse(await fs.readFile(filePath, "utf8"));
+      if (!template.name || !template.tool || !template.call) {
+        throw new Error('expected "name", "tool" and "call" fields');
+      }
+      templates.push(template);
+    } catch (error) {
+      console.error(`[Prompts] Skipping ${filePath}: ${error.message}`);
+    }
+  }
+  return templates.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Loads the templates whose target tool is being served, so prompts for
+ * tools switched off by `ENABLED_TOOLS` or `DISABLED_TOOLS`, or provided by
+ * a plugin that failed to load, are neither listed nor fetchable.
+ *
+ * @param {Array} tools - The discovered tools.
+ * @param {string} [directory=getPromptsDir()] - The templates directory.
+ * @returns {Promise<Array<Object>>} The usable templates, sorted by name.
+ */
+export async function loadAvailablePrompts(tools, directory) {
+  const names = new Set(tools.map((tool) => tool.definition.function.name));
+  return (await loadPromptTemplates(directory)).filter((template) =>
+    names.has(template.tool)
+  );
+}
+
+/**
+ * Describes a template in the shape returned by prompts/list.
+ * @param {Object} template - The prompt template.
+ * @returns {Object} The MCP prompt.
+ */
+export function describePrompt(template) {
+  return {
+    name: template.name,
+    title: template.title,
+    description: template.description,
+    arguments: (template.arguments || []).map(
+      ({ name, description, required }) => ({
+        name,
+        description,
+        required: Boolean(required),
+      })
+    ),
+  };
+}
+
+/**
+ * Fills in a template and builds the prompts/get result. The tool call the
+ * template describes is validated like a real call, so a broken template or
+ * argument is reported here rather than when the model makes the call.
+ *
+ * @param {Object} template - The prompt template.
+ * @param {Object} [values={}] - The prompt arguments supplied by the client.
+ * @param {Array} tools - The discovered tools.
+ * @returns {Object} The MCP GetPrompt result.
+ */
+export function renderPrompt(template, values = {}, tools) {
+  const tool = tools.find((t) => t.definition.function.name === template.tool);
+  if (!tool) {
+    throw new McpError(
+      ErrorCode.InternalError,
+      `Prompt ${template.name} targets unknown tool: ${template.tool}`
+    );
+  }
+
+  // Apply defaults and check required prompt arguments
+  const resolved = {};
+  for (const argument of template.arguments || []) {
+    const value = values[argument.name] ?? argument.default;
+    if (value === undefined && argument.required) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Missing required argument for prompt ${template.name}: ${argument.name}`
+      );
+    }
+    resolved[argument.name] = value ?? "";
+  }
+
+  const properties = tool.definition.function.parameters.properties || {};
+  const callArguments = {};
+  for (const [key, value] of Object.entries(template.call)) {
+    const filled = fill(value, resolved);
+    // Drop parameters whose placeholders were left empty
+    if (filled === "") continue;
+    callArguments[key] = coerce(filled, properties[key]);
+  }
+  const { args } = validateToolArguments(tool, callArguments);
+
+  const instructions = template.instructions
+    ? `${fill(template.instructions, resolved)}\n\n`
+    : "";
+  const text =
+    `${instructions}Call the ${template.tool} tool with these arguments:\n\n` +
+    `\`\`\`json\n${JSON.stringify(args, null, 2)}\n\`\`\``;
+
+  return {
+    description: template.description,
+    messages: [{ role: "user", content: { type: "text", text } }],
+    _meta: { tool: template.tool, arguments: args },
+  };
+}
+
+function fill(value, values) {
+  if (typeof value === "string") {
+    return value.replace(PLACEHOLDER, (match, name) =>
+      name in values ? String(values[name]) : match
+    );
+  }
+  if (Array.isArray(value)) return value.map((item) => fill(item, values));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, fill(item, values)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Prompt arguments are always strings; convert them to the type the tool
+ * schema expects for the parameter they fill.
+ */
+function coerce(value, schema) {
+  if (typeof value !== "string" || !schema?.type) return value;
+  const types = [].concat(schema.type);
+  if (types.includes("string")) return value;
+  if (types.includes("integer") || types.includes("number")) {
+    const number = Number(value);
+    return Number.isNaN(number) ? value : number;
+  }
+  if (types.includes("boolean")) {
+    if (value === "true") return true;
+    if (value === "false") return false;
+  }
+  return value;
+}
@@ -0,0 +1,219 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+const WINDOW_MS = 60 * 1000;
+const DEFAULT_MAX_CONCURRENCY = 8;
+
+const queues = new Map();
+let lastSweep = 0;
+const queueReporters = new AsyncLocalStorage();
+
+/**
+ * FIFO queue that admits outbound requests while they fit within a maximum
+ * concurrency and sliding one-minute windows of requests and images.
+ * Requests are admitted strictly in arrival order, so a large image request
+ * is not starved by a stream of small ones.
+ */
+export class RequestQueue {
+  /**
+   * @param {Object} [limits] - Queue limits; omitted limits are unbounded.
+   * @param {number} [limits.maxConcurrency] - Requests allowed in flight at once.
+   * @param {number} [limits.requestsPerMinute] - Requests started per minute.
+   * @param {number} [limits.imagesPerMinute] - Images requested per minute.
+   * @param {number} [limits.windowMs=60000] - Length of the rate window.
+   */
+  constructor({
+    maxConcurrency = Infinity,
+    requestsPerMinute = Infinity,
+    imagesPerMinute = Infinity,
+    windowMs = WINDOW_MS,
+  } = {}) {
+    this.maxConcurrency = maxConcurrency;
+    this.requestsPerMinute = requestsPerMinute;
+    this.imagesPerMinute = imagesPerMinute;
+    this.windowMs = windowMs;
+    this.active = 0;
+    this.waiting = [];
+    this.started = [];
+    this.timer = undefined;
+  }
+
+  /**
+   * Waits for a slot. Resolves to a function that must be called once the
+   * request has finished to free the slot.
+   *
+   * @param {Object} [options] - Acquire options.
+   * @param {number} [options.images=0] - Images the request will generate.
+   * @param {AbortSignal} [options.signal] - Cancels the wait.
+   * @param {Function} [options.onPosition] - Called with the 1-based queue position while waiting, and with 0 once admitted.
+   * @returns {Promise<Function>} Releases the slot.
+   */
+  acquire({ images = 0, signal, onPosition } = {}) {
+    // A request larger than the whole window could never be admitted
+    const weight = Math.min(images, this.imagesPerMinute);
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(signal.reason);
+
+      const entry = { images: weight, resolve, onPosition };
+      const onAbort = () => {
+        this.waiting = this.waiting.filter((waiting) => waiting !== entry);
+        // The next request may fit where this one did not, and an empty
+        // queue must not keep a retry timer alive
+        this.drain();
+        this.notifyPositions();
+        reject(signal.reason);
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+      entry.cleanup = () => signal?.removeEventListener("abort", onAbort);
+
+      this.waiting.push(entry);
+      this.drain();
+      if (this.waiting.includes(entry)) {
+        onPosition?.(this.waiting.length);
+      }
+    });
+  }
+
+  /**
+   * Admits waiting requests from the head of the queue for as long as the
+   * limits allow, then schedules a retry for when the rate window frees up.
+   */
+  drain() {
+    clearTimeout(this.timer);
+    this.timer = undefined;
+    let admitted = false;
+
+    while (this.waiting.length > 0 && this.active < this.maxConcurrency) {
+      const now = Date.now();
+      this.started = this.started.filter(
+        (start) => start.at > now - this.windowMs
+      );
+      const head = this.waiting[0];
+      const wait = this.rateLimitDelay(head, now);
+      if (wait > 0) {
+        // Left referenced, so a process with nothing else to do stays alive
+        // until the waiting request runs
+        this.timer = setTimeout(() => this.drain(), wait);
+        break;
+      }
+
+      this.waiting.shift();
+      this.active += 1;
+      this.started.push({ at: now, images: head.images });
+      head.cleanup();
+      head.onPosition?.(0);
+      admitted = true;
+
+      let released = false;
+      head.resolve(() => {
+        if (released) return;
+        released = true;
+        this.active -= 1;
+        this.drain();
+      });
+    }
+
+    if (admitted) this.notifyPositions();
+  }
+
+  /**
+   * Milliseconds until the head of the queue fits within the rate windows.
+   */
+  rateLimitDelay(entry, now) {
+    let until = now;
+    if (this.started.length >= this.requestsPerMinute) {
+      const oldest = this.started[this.started.length - this.requestsPerMinute];
+      until = Math.max(until, oldest.at + this.windowMs);
+    }
+
+    let images = entry.images;
+    for (let i = this.started.length - 1; i >= 0 && images > 0; i--) {
+      images += this.started[i].images;
+      if (images > this.imagesPerMinute) {
+        until = Math.max(until, this.started[i].at + this.windowMs);
+        break;
+      }
+    }
+    return until - now;
+  }
+
+  /**
+   * Whether the queue holds no state worth keeping: nothing in flight or
+   * waiting, and no request started within the rate window.
+   */
+  isIdle(now = Date.now()) {
+    return (
+      this.active === 0 &&
+      this.waiting.length === 0 &&
+      this.started.every((start) => start.at <= now - this.windowMs)
+    );
+  }
+
+  notifyPositions() {
+    this.waiting.forEach((entry, index) => entry.onPosition?.(index + 1));
+  }
+}
+
+/**
+ * Returns the shared queue for an API key, so every session using the same
+ * key draws from the same limits. Limits come from `OPENAI_MAX_CONCURRENCY`,
+ * `OPENAI_REQUESTS_PER_MINUTE` and `OPENAI_IMAGES_PER_MINUTE`. Queues that
+ * have been idle for a whole rate window are dropped, so the keys of
+ * pass-through clients that have gone away are not kept for good.
+ *
+ * @param {string} apiKey - The OpenAI API key.
+ * @returns {RequestQueue} The key's queue.
+ */
+export function getRequestQueue(apiKey) {
+  evictIdleQueues();
+  let queue = queues.get(apiKey);
+  if (!queue) {
+    const env = process.env;
+    queue = new RequestQueue({
+      maxConcurrency: parseLimit(
+        env.OPENAI_MAX_CONCURRENCY,
+        DEFAULT_MAX_CONCURRENCY
+      ),
+      requestsPerMinute: parseLimit(env.OPENAI_REQUESTS_PER_MINUTE),
+      imagesPerMinute: parseLimit(env.OPENAI_IMAGES_PER_MINUTE),
+    });
+    queues.set(apiKey, queue);
+  }
+  return queue;
+}
+
+/**
+ * Runs a function with a listener for queue positions, so requests it makes
+ * can tell the caller when they are waiting for a slot.
+ *
+ * @param {Function} onPosition - Called with the 1-based queue position, or 0 once admitted.
+ * @param {Function} fn - The function to run.
+ * @returns {*} The function's return value.
+ */
+export function withQueueReporter(onPosition, fn) {
+  return queueReporters.run(onPosition, fn);
+}
+
+/**
+ * Returns the queue position listener for the current call, if any.
+ * @returns {Function|undefined}
+ */
+export function getQueueReporter() {
+  return queueReporters.getStore();
+}
+
+/**
+ * Drops idle queues, at most once per rate window.
+ */
+function evictIdleQueues(now = Date.now()) {
+  if (now - lastSweep < WINDOW_MS) return;
+  lastSweep = now;
+  for (const [apiKey, queue] of queues) {
+    if (queue.isIdle(now)) queues.delete(apiKey);
+  }
+}
+
+function parseLimit(value, defaultValue = Infinity) {
+  const limit = Number.parseInt(value, 10);
+  return limit > 0 ? limit : defaultValue;
+}
@@ -0,0 +1,217 @@
+import { createHash } from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { openaiRequest } from "./openai-client.js";
+
+/** URI of the resource listing every media item produced in the session. */
+export const MEDIA_INDEX_URI = "media://session";
+
+const FILE_URI_PREFIX = "openai-file://";
+
+const MIME_TYPES = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  webp: "image/webp",
+  gif: "image/gif",
+  mp3: "audio/mpeg",
+  opus: "audio/ogg",
+  ogg: "audio/ogg",
+  aac: "audio/aac",
+  flac: "audio/flac",
+  wav: "audio/wav",
+  pcm: "audio/pcm",
+  m4a: "audio/mp4",
+  mp4: "video/mp4",
+  webm: "video/webm",
+  mov: "video/quicktime",
+  pdf: "application/pdf",
+  json: "application/json",
+  jsonl: "application/jsonl",
+  txt: "text/plain",
+  md: "text/markdown",
+  csv: "text/csv",
+  srt: "application/x-subrip",
+  vtt: "text/vtt",
+};
+
+const EXTENSIONS = Object.fromEntries(
+  Object.entries(MIME_TYPES)
+    .reverse()
+    .map(([extension, mimeType]) => [mimeType, extension])
+);
+
+/**
+ * Guesses a MIME type from a file name's extension.
+ * @param {string} filename - The file name.
+ * @returns {string} The MIME type, or "application/octet-stream" if unknown.
+ */
+export function guessMimeType(filename) {
+  const extension = path
+    .extname(filename || "")
+    .slice(1)
+    .toLowerCase();
+  return MIME_TYPES[extension] || "application/octet-stream";
+}
+
+/**
+ * Picks a file extension for a MIME type.
+ * @param {string} mimeType - The MIME type.
+ * @returns {string} The extension without the dot, or "bin" if unknown.
+ */
+export function extensionFor(mimeType) {
+  return EXTENSIONS[mimeType] || "bin";
+}
+
+/**
+ * Keeps the media produced in one MCP session and exposes it as resources
+ * under stable `media://<kind>/<name>` URIs. Inline media is held in memory,
+ * up to a byte limit; media the tools wrote to disk is read back from its
+ * path on demand.
+ */
+export class MediaRegistry {
+  /**
+   * @param {Object} [options] - Registry options.
+   * @param {number} [options.maxItems=200] - Oldest items are forgotten beyond this many.
+   * @param {number} [options.maxBytes=67108864] - Oldest inline items are forgotten once they hold more bytes than this.
+   * @param {Function} [options.onChange] - Called with each newly registered resource.
+   */
+  constructor({ maxItems = 200, maxBytes = 64 * 1024 * 1024, onChange } = {}) {
+    this.maxItems = maxItems;
+    this.maxBytes = maxBytes;
+    // Bytes of inline media held in memory
+    this.bytes = 0;
+    this.onChange = onChange;
+    this.items = new Map();
+    // URIs the client subscribed to with resources/subscribe
+    this.subscriptions = new Set();
+  }
+
+  /**
+   * Registers a media item. Content-addressed names keep the URI of identical
+   * output stable across calls.
+   *
+   * @param {Object} media - The media item.
+   * @param {Buffer} [media.data] - The raw bytes, for media held in memory.
+   * @param {string} [media.path] - Path of a file on disk, for media written by a tool.
+   * @param {string} media.mimeType - The MIME type.
+   * @param {string} [media.name] - File name for the URI; defaults to a content hash.
+   * @param {number} [media.size] - Size in bytes, for media on disk.
+   * @param {string} [media.tool] - The tool that produced the media.
+   * @returns {Object} The MCP resource describing the media.
+   */
+  register({ data, path: filePath, mimeType, name, size, tool }) {
+    const kind = mimeType.split("/")[0];
+    const extension = extensionFor(mimeType);
+    const resourceName =
+      name ||
+      `${createHash("sha256").update(data).digest("hex").slice(0, 16)}.${extension}`;
+    const uri = `media://${kind}/${resourceName}`;
+
+    const resource = {
+      uri,
+      name: resourceName,
+      title: tool ? `${resourceName} (${tool})` : resourceName,
+      mimeType,
+      size: data?.length ?? size,
+    };
+    this.forget(uri);
+    this.items.set(uri, { resource, data, path: filePath });
+    this.bytes += data?.length ?? 0;
+    if (this.items.size > this.maxItems) {
+      this.forget(this.items.keys().next().value);
+    }
+    for (const [oldUri, item] of this.items) {
+      if (this.bytes <= this.maxBytes) break;
+      if (item.data && oldUri !== uri) this.forget(oldUri);
+    }
+
+    this.onChange?.(resource);
+    return resource;
+  }
+
+  /**
+   * Removes a registered media item.
+   * @param {string} uri - The resource URI.
+   */
+  forget(uri) {
+    this.bytes -= this.items.get(uri)?.data?.length ?? 0;
+    this.items.delete(uri);
+  }
+
+  /**
+   * Lists the registered media, oldest first.
+   * @returns {Array<Object>} MCP resources.
+   */
+  list() {
+    return [...this.items.values()].map((item) => item.resource);
+  }
+
+  /**
+   * Reads a registered media item.
+   * @param {string} uri - The resource URI.
+   * @returns {Promise<Object|undefined>} The resource contents, or undefined if unknown.
+   */
+  async read(uri) {
+    const item = this.items.get(uri);
+    if (!item) return undefined;
+    const data = item.data || (await fs.readFile(item.path));
+    return {
+      uri,
+      mimeType: item.resource.mimeType,
+      blob: data.toString("base64"),
+    };
+  }
+}
+
+/**
+ * Lists one page of OpenAI files as resources.
+ * @param {string} [cursor] - The file ID to continue after.
+ * @returns {Promise<Object>} `{ resources, nextCursor }`.
+ */
+export async function listFileResources(cursor) {
+  const page = await openaiRequest("/files", {
+    query: { limit: 100, after: cursor },
+  });
+  const files = page.data || [];
+  return {
+    resources: files.map(fileResource),
+    nextCursor: page.has_more ? files[files.length - 1]?.id : undefined,
+  };
+}
+
+/**
+ * Reads an OpenAI file resource.
+ * @param {string} uri - An `openai-file://<file_id>` URI.
+ * @returns {Promise<Object|undefined>} The resource contents, or undefined for other URIs.
+ */
+export async function readFileResource(uri) {
+  if (!uri.startsWith(FILE_URI_PREFIX)) return undefined;
+  const fileId = encodeURIComponent(uri.slice(FILE_URI_PREFIX.length));
+  const [file, data] = await Promise.all([
+    openaiRequest(`/files/${fileId}`),
+    openaiRequest(`/files/${fileId}/content`, { responseType: "buffer" }),
+  ]);
+  return {
+    uri,
+    mimeType: guessMimeType(file.filename),
+    blob: data.toString("base64"),
+  };
+}
+
+/** Resource template letting clients read any file by its ID. */
+export const FILE_RESOURCE_TEMPLATE = {
+  uriTemplate: `${FILE_URI_PREFIX}{file_id}`,
+  name: "OpenAI file",
+  description: "Contents of a file uploaded to the OpenAI Files API.",
+};
+
+function fileResource(file) {
+  return {
+    uri: `${FILE_URI_PREFIX}${file.id}`,
+    name: file.filename,
+    description: `OpenAI file ${file.id} (purpose: ${file.purpose})`,
+    mimeType: guessMimeType(file.filename),
+    size: file.bytes,
+  };
+}
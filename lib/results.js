@@ -0,0 +1,51 @@
+const TOOL_RESULT = Symbol("toolResult");
+
+/**
+ * Builds a tool result made of MCP content blocks. Tools return this instead
+ * of a plain object when the output is media the client should render natively.
+ *
+ * @param {Array<Object>} content - MCP content blocks.
+ * @param {Object} [structuredContent] - Machine-readable metadata about the result.
+ * @returns {Object} A tool result understood by the server.
+ */
+export function toolResult(content, structuredContent) {
+  return { [TOOL_RESULT]: true, content, structuredContent };
+}
+
+/**
+ * Checks whether a tool's return value was built with `toolResult`.
+ * @param {*} value - The value returned by a tool.
+ * @returns {boolean}
+ */
+export function isToolResult(value) {
+  return Boolean(value && value[TOOL_RESULT]);
+}
+
+/**
+ * Creates a text content block holding pretty-printed JSON.
+ * @param {*} data - JSON-serializable data.
+ * @returns {Object} An MCP text content block.
+ */
+export function jsonContent(data) {
+  return { type: "text", text: JSON.stringify(data, null, 2) };
+}
+
+/**
+ * Creates an audio content block.
+ * @param {Buffer} data - The raw audio bytes.
+ * @param {string} mimeType - The audio MIME type.
+ * @returns {Object} An MCP audio content block.
+ */
+export function audioContent(data, mimeType) {
+  return { type: "audio", data: data.toString("base64"), mimeType };
+}
+
+/**
+ * Creates an image content block.
+ * @param {Buffer} data - The raw image bytes.
+ * @param {string} mimeType - The image MIME type.
+ * @returns {Object} An MCP image content block.
+ */
+export function imageContent(data, mimeType) {
+  return { type: "image", data: data.toString("base64"), mimeType };
+}
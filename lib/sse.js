@@ -0,0 +1,39 @@
+/**
+ * Parses a `text/event-stream` response body into events.
+ *
+ * @param {Response} response - A fetch response with a streaming body.
+ * @returns {AsyncGenerator<{event: string, data: string}>} The parsed events.
+ */
+export async function* readServerSentEvents(response) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let boundary;
+    while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, "");
+      const event = parseEvent(block);
+      if (event) yield event;
+    }
+  }
+
+  const event = parseEvent(buffer + decoder.decode());
+  if (event) yield event;
+}
+
+function parseEvent(block) {
+  let event = "message";
+  const data = [];
+  for (const line of block.split(/\r?\n/)) {
+    if (!line || line.startsWith(":")) continue;
+    const separator = line.indexOf(":");
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value =
+      separator === -1 ? "" : line.slice(separator + 1).replace(/^ /, "");
+    if (field === "event") event = value;
+    else if (field === "data") data.push(value);
+  }
+  return data.length ? { event, data: data.join("\n") } : undefined;
+}
@@ -0,0 +1,23 @@
+/**
+ * Prints rows of strings as a table with aligned columns, for CLI output.
+ * @param {Array<Array<string>>} rows - The rows, header first.
+ * @param {Object} [options] - Table options.
+ * @param {Array<number>} [options.rightAligned=[]] - Indexes of columns to right-align, such as numbers.
+ */
+export function printTable(rows, { rightAligned = [] } = {}) {
+  const widths = rows[0].map((_, column) =>
+    Math.max(...rows.map((row) => row[column].length))
+  );
+  for (const row of rows) {
+    console.log(
+      row
+        .map((cell, column) =>
+          rightAligned.includes(column)
+            ? cell.padStart(widths[column])
+            : cell.padEnd(widths[column])
+        )
+        .join("  ")
+        .trimEnd()
+    );
+  }
+}
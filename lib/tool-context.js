@@ -0,0 +1,67 @@
+/**
+ * Builds the context passed to tool functions as their second argument.
+ * Tools use it to report progress and to observe request cancellation; it is
+ * safe to call `reportProgress` when the caller did not ask for progress. The
+ * session ID and user identify the caller in the usage ledger, and the client
+ * ID scopes the generation history to the authenticated client.
+ *
+ * @param {Object} request - The CallTool request.
+ * @param {Object} extra - The request handler extra provided by the MCP SDK.
+ * @returns {Object} The tool context.
+ */
+export function createToolContext(request, extra) {
+  const progressToken = request.params._meta?.progressToken;
+  let lastProgress = -Infinity;
+  let lastPosition;
+  let queueUpdates = 0;
+
+  /**
+   * Sends an MCP progress notification for the current call.
+   * @param {Object} update - The progress update.
+   * @param {number} update.progress - Progress so far; must increase between calls.
+   * @param {number} [update.total] - Total progress, if known.
+   * @param {string} [update.message] - Human-readable status.
+   * @param {Object} [update._meta] - Extra data attached to the notification.
+   */
+  async function reportProgress({ progress, total, message, _meta }) {
+    if (progressToken === undefined || progress <= lastProgress) return;
+    lastProgress = progress;
+    try {
+      await extra.sendNotification({
+        method: "notifications/progress",
+        params: { progressToken, progress, total, message, _meta },
+      });
+    } catch (error) {
+      console.error("[Error] Failed to send progress notification:", error);
+    }
+  }
+
+  /**
+   * Reports the call's position in the request queue while it waits.
+   * Progress must keep increasing, so queue updates advance it by ever
+   * smaller fractions that stay below the tool's next whole step.
+   * @param {number} position - The 1-based queue position, or 0 once admitted.
+   */
+  function reportQueuePosition(position) {
+    if (position === lastPosition) return;
+    lastPosition = position;
+    if (position === 0) return;
+    queueUpdates += 1;
+    const base = Math.max(Math.floor(lastProgress), 0);
+    reportProgress({
+      progress: base + 1 - 1 / (queueUpdates + 1),
+      message: `Waiting for a request slot (queue position ${position})`,
+      _meta: { queue_position: position },
+    });
+  }
+
+  return {
+    signal: extra.signal,
+    progressToken,
+    sessionId: extra.sessionId,
+    clientId: extra.authInfo?.clientId,
+    user: extra.authInfo?.extra?.user || extra.authInfo?.clientId,
+    reportProgress,
+    reportQueuePosition,
+  };
+}
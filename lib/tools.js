@@ -1,16 +1,244 @@
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
 import { toolPaths } from "../tools/paths.js";
+import { recordToolCall } from "./history.js";
+import { withQueueReporter } from "./request-queue.js";
+import { meterToolCall } from "./usage.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const TOOLS_DIR = path.resolve(__dirname, "../tools");
+
+// OpenAI function names: letters, digits, underscores and dashes
+const TOOL_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+
+const NOT_A_MODULE =
+  'plugin .js files must be ES modules: add a package.json with "type": "module" to the plugin directory, or name the file .mjs';
+
+/**
+ * Resolves the extra directories tools are loaded from, set as a list of
+ * paths in the `TOOL_PLUGIN_DIRS` environment variable (separated by `:`, or
+ * `;` on Windows).
+ *
+ * @returns {Array<string>} Absolute paths of the plugin directories.
+ */
+export function getPluginDirs() {
+  return (process.env.TOOL_PLUGIN_DIRS || "")
+    .split(path.delimiter)
+    .filter((dir) => dir.trim())
+    .map((dir) => path.resolve(dir.trim()));
+}
 
 /**
- * Discovers and loads available tools from the tools directory
+ * Reads the tool allow and deny lists from the comma-separated
+ * `ENABLED_TOOLS` and `DISABLED_TOOLS` environment variables.
+ *
+ * @returns {{enabled: Set<string>|null, disabled: Set<string>}} The tool
+ *   names; `enabled` is null when every tool is allowed.
+ */
+export function getToolFilters() {
+  const parse = (value) =>
+    (value || "")
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean);
+  const enabled = parse(process.env.ENABLED_TOOLS);
+  return {
+    enabled: enabled.length ? new Set(enabled) : null,
+    disabled: new Set(parse(process.env.DISABLED_TOOLS)),
+  };
+}
+
+/**
+ * Checks that a module exports a usable `apiTool`.
+ * @param {Object} module - The imported module.
+ * @returns {string|undefined} What is wrong with it, if anything.
+ */
+function checkApiTool(module) {
+  const tool = module.apiTool;
+  if (!tool || typeof tool !== "object") return "no apiTool export";
+  if (typeof tool.function !== "function") {
+    return "apiTool.function is not a function";
+  }
+  const definition = tool.definition?.function;
+  if (tool.definition?.type !== "function" || !definition) {
+    return 'apiTool.definition must be { type: "function", function: {...} }';
+  }
+  if (typeof definition.name !== "string" || !TOOL_NAME.test(definition.name)) {
+    return `invalid tool name: ${JSON.stringify(definition.name)}`;
+  }
+  if (definition.parameters?.type !== "object") {
+    return 'apiTool parameters must be a JSON Schema with type "object"';
+  }
+}
+
+/**
+ * Lists the tool modules in a directory and its subdirectories, skipping
+ * files and directories whose names start with an underscore.
+ * @param {string} directory - The directory to scan.
+ * @param {string} [prefix=""] - Path of `directory` below the scanned root.
+ * @returns {Promise<Array<string>>} Module paths relative to the directory.
+ */
+async function listModules(directory, prefix = "") {
+  // Walked by hand: recursive readdir needs Node 18.17
+  let entries;
+  try {
+    entries = await fs.readdir(directory, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const modules = [];
+  for (const entry of entries) {
+    // Helpers can live beside tools under a leading underscore
+    if (entry.name.startsWith("_")) continue;
+    const relative = prefix + entry.name;
+    if (entry.isDirectory()) {
+      if (entry.name === "node_modules") continue;
+      modules.push(
+        ...(await listModules(path.join(directory, entry.name), `${relative}/`))
+      );
+    } else if (/\.m?js$/.test(entry.name) && relative !== "paths.js") {
+      modules.push(relative);
+    }
+  }
+  return modules.sort();
+}
+
+/**
+ * Checks whether Node loads a `.js` file as an ES module, i.e. whether the
+ * nearest package.json above it sets `"type": "module"`. Node versions
+ * before 20.19 would otherwise load a plugin's ESM syntax as CommonJS and
+ * fail.
+ * @param {string} file - Absolute path of the file.
+ * @returns {Promise<boolean>}
+ */
+async function isModuleScope(file) {
+  for (let dir = path.dirname(file); ; dir = path.dirname(dir)) {
+    try {
+      const manifest = JSON.parse(
+        await fs.readFile(path.join(dir, "package.json"), "utf8")
+      );
+      return manifest.type === "module";
+    } catch (error) {
+      if (error.code !== "ENOENT") return false;
+    }
+    if (path.dirname(dir) === dir) return false;
+  }
+}
+
+/**
+ * Loads every tool module and sorts them into the tools to serve, the tools
+ * switched off by the allow and deny lists, and modules that failed to load.
+ * Built-in tools are scanned from `tools/`, in the order of `tools/paths.js`
+ * followed by any unlisted modules, and then each plugin directory is
+ * scanned. A tool whose name is already taken is reported as broken.
+ *
+ * @returns {Promise<Object>} `{ tools, disabled, broken }`, where `broken`
+ *   holds `{ path, error }` for each module that was skipped.
+ */
+export async function loadTools() {
+  const builtIn = await listModules(TOOLS_DIR);
+  const modules = [
+    ...toolPaths.filter((file) => builtIn.includes(file)),
+    ...builtIn.filter((file) => !toolPaths.includes(file)),
+  ].map((file) => ({ path: file, file: path.join(TOOLS_DIR, file) }));
+  for (const dir of getPluginDirs()) {
+    for (const file of await listModules(dir)) {
+      const filePath = path.join(dir, file);
+      modules.push({ path: filePath, file: filePath, plugin: dir });
+    }
+  }
+
+  // Import in parallel, but keep the discovery order
+  const loaded = await Promise.all(
+    modules.map(async (module) => {
+      if (
+        module.plugin &&
+        module.file.endsWith(".js") &&
+        !(await isModuleScope(module.file))
+      ) {
+        return { ...module, error: NOT_A_MODULE };
+      }
+      try {
+        const exports = await import(pathToFileURL(module.file).href);
+        return { ...module, exports, error: checkApiTool(exports) };
+      } catch (error) {
+        return { ...module, error: error.message };
+      }
+    })
+  );
+
+  const { enabled, disabled } = getToolFilters();
+  const result = { tools: [], disabled: [], broken: [] };
+  const names = new Set();
+  for (const { path: toolPath, plugin, exports, error } of loaded) {
+    if (error) {
+      result.broken.push({ path: toolPath, error });
+      continue;
+    }
+    const tool = { ...exports.apiTool, path: toolPath };
+    if (plugin) tool.plugin = plugin;
+    const { name } = tool.definition.function;
+    if (names.has(name)) {
+      result.broken.push({
+        path: toolPath,
+        error: `duplicate tool name: ${name}`,
+      });
+      continue;
+    }
+    names.add(name);
+
+    if ((enabled && !enabled.has(name)) || disabled.has(name)) {
+      result.disabled.push(tool);
+    } else {
+      result.tools.push(tool);
+    }
+  }
+  return result;
+}
+
+/**
+ * Discovers and loads available tools from the tools directory and any
+ * plugin directories, leaving out disabled tools. Broken modules are logged
+ * and skipped so one bad plugin cannot stop the server from starting.
  * @returns {Promise<Array>} Array of tool objects
  */
 export async function discoverTools() {
-  const toolPromises = toolPaths.map(async (file) => {
-    const module = await import(`../tools/${file}`);
-    return {
-      ...module.apiTool,
-      path: file,
-    };
-  });
-  return Promise.all(toolPromises);
+  const { tools, disabled, broken } = await loadTools();
+  for (const { path: toolPath, error } of broken) {
+    console.error(`[Tools] Skipping ${toolPath}: ${error}`);
+  }
+
+  // Catch typos in the allow and deny lists
+  const names = new Set(
+    [...tools, ...disabled].map((tool) => tool.definition.function.name)
+  );
+  const { enabled, disabled: denied } = getToolFilters();
+  for (const name of [...(enabled || []), ...denied]) {
+    if (!names.has(name)) {
+      console.error(`[Tools] Unknown tool in tool filters: ${name}`);
+    }
+  }
+  return tools;
+}
+
+/**
+ * Runs a tool with validated arguments the way every caller should: queue
+ * positions go to the context, spend is checked against the budgets and
+ * recorded in the usage ledger, and media is recorded in the history.
+ *
+ * @param {Object} tool - The tool to run.
+ * @param {Object} args - The validated tool arguments.
+ * @param {Object} context - The tool context.
+ * @returns {Promise<*>} The tool's result.
+ */
+export function runTool(tool, args, context) {
+  return withQueueReporter(context.reportQueuePosition, () =>
+    meterToolCall(tool, args, context, () =>
+      recordToolCall(tool, args, context, () => tool.function(args, context))
+    )
+  );
 }
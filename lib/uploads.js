@@ -0,0 +1,280 @@
+import { createHash } from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { mapWithConcurrency } from "./concurrency.js";
+import { ToolError } from "./errors.js";
+import { OpenAIError, openaiRequest } from "./openai-client.js";
+import { guessMimeType } from "./resources.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// The Uploads API accepts parts of up to 64 MB and files of up to 8 GB
+const PART_SIZE = 64 * 1024 * 1024;
+const MAX_UPLOAD_BYTES = 8 * 1024 * 1024 * 1024;
+const PART_CONCURRENCY = 3;
+
+// Uploads expire an hour after creation; leave time to finish a resumed one
+const RESUME_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Resolves the directory holding the state of unfinished multipart uploads.
+ * Falls back to the `UPLOAD_STATE_DIR` environment variable, then to
+ * `data/uploads` in the project root.
+ *
+ * @returns {string} Absolute path of the state directory.
+ */
+export function getUploadStateDir() {
+  return path.resolve(
+    process.env.UPLOAD_STATE_DIR || path.resolve(__dirname, "../data/uploads")
+  );
+}
+
+/**
+ * Uploads a local file to the Files API. Files up to 64 MB are sent in one
+ * request; larger ones go through the multipart Uploads API, whose progress
+ * is saved after every part so an interrupted upload can be resumed by
+ * uploading the same, unchanged file again.
+ *
+ * @param {Object} options - Upload options.
+ * @param {string} options.filePath - Local path of the file.
+ * @param {string} options.purpose - The file's purpose, e.g. "vision" or "user_data".
+ * @param {string} [options.mimeType] - MIME type; guessed from the extension when omitted.
+ * @param {Object} [options.expiresAfter] - Expiration policy: `{ anchor, seconds }`.
+ * @param {boolean} [options.resume=true] - Continue an earlier, unfinished upload of the same file.
+ * @param {AbortSignal} [options.signal] - Cancels the upload.
+ * @param {Function} [options.onProgress] - Called with the bytes uploaded so far and the total.
+ * @returns {Promise<Object>} The file object, with an `upload` summary for multipart uploads.
+ */
+export async function uploadFile({
+  filePath,
+  purpose,
+  mimeType,
+  expiresAfter,
+  resume = true,
+  signal,
+  onProgress,
+}) {
+  let stat;
+  try {
+    stat = await fs.stat(filePath);
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+    throw new ToolError(`File not found: ${filePath}`, { code: "ENOENT" });
+  }
+  if (!stat.isFile()) {
+    throw new ToolError(`Not a file: ${filePath}`);
+  }
+  if (stat.size > MAX_UPLOAD_BYTES) {
+    throw new ToolError(
+      `File is ${stat.size} bytes; the Uploads API accepts at most ${MAX_UPLOAD_BYTES} bytes.`
+    );
+  }
+
+  const upload = {
+    filePath,
+    stat,
+    purpose,
+    mimeType: mimeType || guessMimeType(filePath),
+    expiresAfter,
+    signal,
+    onProgress,
+  };
+  if (stat.size <= PART_SIZE) return uploadSingle(upload);
+
+  try {
+    return await uploadMultipart(upload, resume);
+  } catch (error) {
+    // A saved upload the API no longer knows about is started over once
+    if (!error.resumed || !(error instanceof OpenAIError)) throw error;
+    if (error.status !== 400 && error.status !== 404) throw error;
+    return uploadMultipart(upload, false);
+  }
+}
+
+async function uploadSingle({
+  filePath,
+  stat,
+  purpose,
+  expiresAfter,
+  signal,
+  onProgress,
+}) {
+  const formData = new FormData();
+  formData.append(
+    "file",
+    new Blob([await fs.readFile(filePath)]),
+    path.basename(filePath)
+  );
+  formData.append("purpose", purpose);
+  if (expiresAfter) {
+    formData.append("expires_after[anchor]", expiresAfter.anchor);
+    formData.append("expires_after[seconds]", String(expiresAfter.seconds));
+  }
+
+  const file = await openaiRequest("/files", {
+    method: "POST",
+    body: formData,
+    signal,
+  });
+  await onProgress?.(stat.size, stat.size);
+  return file;
+}
+
+async function uploadMultipart(upload, resume) {
+  const { filePath, stat, signal, onProgress } = upload;
+  const statePath = path.join(getUploadStateDir(), `${stateKey(upload)}.json`);
+  let state = resume ? await readState(statePath) : undefined;
+  const resumed = Boolean(state);
+  if (!state) {
+    state = await createUpload(upload);
+    await writeState(statePath, state);
+  }
+
+  const partCount = Math.ceil(stat.size / PART_SIZE);
+  const pending = [];
+  let uploaded = 0;
+  for (let index = 0; index < partCount; index++) {
+    if (state.parts[index]) uploaded += partLength(index, stat.size);
+    else pending.push(index);
+  }
+  const resumedParts = partCount - pending.length;
+  if (uploaded > 0) await onProgress?.(uploaded, stat.size);
+
+  // Parts finish out of order, so state writes are chained to keep them whole
+  let saving = Promise.resolve();
+  // One failed part fails the upload, so the parts still in flight are
+  // cancelled rather than left running
+  const controller = new AbortController();
+  const cancel = () => controller.abort(signal.reason);
+  signal?.addEventListener("abort", cancel, { once: true });
+  const handle = await fs.open(filePath, "r");
+  try {
+    await mapWithConcurrency(pending, PART_CONCURRENCY, async (index) => {
+      try {
+        const length = partLength(index, stat.size);
+        const data = Buffer.alloc(length);
+        await handle.read(data, 0, length, index * PART_SIZE);
+
+        const formData = new FormData();
+        formData.append("data", new Blob([data]));
+        const part = await openaiRequest(`/uploads/${state.upload_id}/parts`, {
+          method: "POST",
+          body: formData,
+          signal: controller.signal,
+        });
+
+        state.parts[index] = part.id;
+        saving = saving.then(() => writeState(statePath, state));
+        await saving;
+        uploaded += length;
+        await onProgress?.(uploaded, stat.size);
+      } catch (error) {
+        controller.abort();
+        throw error;
+      }
+    });
+  } catch (error) {
+    if (resumed) error.resumed = true;
+    throw error;
+  } finally {
+    signal?.removeEventListener("abort", cancel);
+    // Safe to close: the map only settles once no part is still reading
+    await handle.close();
+  }
+
+  let completed;
+  try {
+    completed = await openaiRequest(`/uploads/${state.upload_id}/complete`, {
+      method: "POST",
+      json: {
+        part_ids: Array.from({ length: partCount }, (_, i) => state.parts[i]),
+      },
+      signal,
+    });
+  } catch (error) {
+    if (resumed) error.resumed = true;
+    throw error;
+  }
+  await fs.rm(statePath, { force: true });
+
+  return {
+    ...completed.file,
+    upload: {
+      id: state.upload_id,
+      parts: partCount,
+      resumed_parts: resumedParts,
+    },
+  };
+}
+
+async function createUpload({
+  filePath,
+  stat,
+  purpose,
+  mimeType,
+  expiresAfter,
+  signal,
+}) {
+  const body = {
+    filename: path.basename(filePath),
+    purpose,
+    bytes: stat.size,
+    mime_type: mimeType,
+  };
+  if (expiresAfter) body.expires_after = expiresAfter;
+
+  const created = await openaiRequest("/uploads", {
+    method: "POST",
+    json: body,
+    signal,
+  });
+  return {
+    upload_id: created.id,
+    file_path: path.resolve(filePath),
+    bytes: stat.size,
+    part_size: PART_SIZE,
+    expires_at: created.expires_at,
+    parts: {},
+  };
+}
+
+/**
+ * Identifies a file by path, size and modification time, so a changed file
+ * never resumes an upload of its older contents.
+ */
+function stateKey({ filePath, stat, purpose }) {
+  return createHash("sha256")
+    .update(
+      [path.resolve(filePath), stat.size, stat.mtimeMs, purpose].join("\n")
+    )
+    .digest("hex")
+    .slice(0, 32);
+}
+
+async function readState(statePath) {
+  let state;
+  try {
+    state = JSON.parse(await fs.readFile(statePath, "utf8"));
+  } catch (error) {
+    return undefined;
+  }
+  const expiresAt = (state.expires_at ?? 0) * 1000;
+  if (
+    state.part_size !== PART_SIZE ||
+    expiresAt < Date.now() + RESUME_MARGIN_MS
+  ) {
+    await fs.rm(statePath, { force: true });
+    return undefined;
+  }
+  return state;
+}
+
+async function writeState(statePath, state) {
+  await fs.mkdir(path.dirname(statePath), { recursive: true });
+  await fs.writeFile(statePath, JSON.stringify(state, null, 2));
+}
+
+function partLength(index, size) {
+  return Math.min(PART_SIZE, size - index * PART_SIZE);
+}
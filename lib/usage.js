@@ -0,0 +1,335 @@
+import { randomUUID } from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { ToolError } from "./errors.js";
+import { parseJsonLines, readJsonLines } from "./jsonl.js";
+import { trackRequests } from "./openai-client.js";
+import { estimateCost, isBillable } from "./pricing.js";
+import { isToolResult } from "./results.js";
+import { applyDefaults } from "./validation.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Identifies stdio clients, which have no transport session ID
+const PROCESS_SESSION_ID = `process-${randomUUID()}`;
+
+// Spend per UTC day and per session, read from the ledger as it grows
+const spend = {
+  path: undefined,
+  offset: 0,
+  days: new Map(),
+  sessions: new Map(),
+};
+// Estimated costs of metered calls still running in this process
+const reservations = new Set();
+// Budget checks run one at a time so parallel calls see each other's reservations
+let budgetChecks = Promise.resolve();
+
+/**
+ * Resolves the usage ledger file. Falls back to the `USAGE_LEDGER_PATH`
+ * environment variable, then to `data/usage.jsonl` in the project root.
+ *
+ * @returns {string} Absolute path of the ledger.
+ */
+export function getLedgerPath() {
+  return path.resolve(
+    process.env.USAGE_LEDGER_PATH ||
+      path.resolve(__dirname, "../data/usage.jsonl")
+  );
+}
+
+/**
+ * Reads ledger entries, optionally limited to a range of UTC days and to
+ * one client's calls.
+ * @param {Object} [filters] - Entry filters.
+ * @param {string} [filters.since] - First day to include (YYYY-MM-DD).
+ * @param {string} [filters.until] - Last day to include (YYYY-MM-DD).
+ * @param {string|null} [filters.clientId] - Only read this client's entries;
+ *   null reads entries made without authentication. Omit to read them all.
+ * @returns {Promise<Array<Object>>} The matching entries, oldest first.
+ */
+export async function readLedger({ since, until, clientId } = {}) {
+  const entries = await readJsonLines(getLedgerPath());
+  return entries.filter((entry) => {
+    const day = entry.timestamp.slice(0, 10);
+    return (
+      (!since || day >= since) &&
+      (!until || day <= until) &&
+      (clientId === undefined || (entry.client_id ?? null) === clientId)
+    );
+  });
+}
+
+/**
+ * Totals ledger entries, grouped by the given fields.
+ * @param {Array<Object>} entries - Ledger entries.
+ * @param {Array<string>} [groupBy=["day", "tool"]] - Any of day, tool, model, session and user.
+ * @returns {Object} Overall totals plus one row per group, most expensive first.
+ */
+export function summarizeUsage(entries, groupBy = ["day", "tool"]) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const keys = Object.fromEntries(
+      groupBy.map((field) => [field, groupValue(entry, field)])
+    );
+    const id = JSON.stringify(keys);
+    const group = groups.get(id) || {
+      ...keys,
+      calls: 0,
+      images: 0,
+      tokens: 0,
+      cost_usd: 0,
+    };
+    addEntry(group, entry);
+    groups.set(id, group);
+  }
+
+  const totals = { calls: 0, images: 0, tokens: 0, cost_usd: 0 };
+  entries.forEach((entry) => addEntry(totals, entry));
+  return {
+    ...roundTotals(totals),
+    groups: [...groups.values()]
+      .map(roundTotals)
+      .sort((a, b) => b.cost_usd - a.cost_usd),
+  };
+}
+
+/**
+ * Reports the configured budgets and how much of each has been spent.
+ * @param {Object} [context] - The tool context of the current call.
+ * @returns {Promise<Object>} `{ daily, session }`, each `{ limit_usd, spent_usd, remaining_usd }` or null.
+ */
+export async function getBudgetStatus(context = {}) {
+  const { daily, session } = getBudgets();
+  const sessionId = getSessionId(context);
+  const totals =
+    daily !== undefined || session !== undefined ? await readSpend() : spend;
+  const today = new Date().toISOString().slice(0, 10);
+
+  const status = (limit, spentUsd) =>
+    limit === undefined
+      ? null
+      : {
+          limit_usd: limit,
+          spent_usd: round(spentUsd),
+          remaining_usd: round(Math.max(limit - spentUsd, 0)),
+        };
+
+  return {
+    daily: status(daily, totals.days.get(today) ?? 0),
+    session: status(session, totals.sessions.get(sessionId) ?? 0),
+  };
+}
+
+/**
+ * Brings the per-day and per-session spend up to date with the ledger. Only
+ * lines appended since the last read are parsed, so checking budgets stays
+ * cheap however long the ledger grows, while entries written by other
+ * processes sharing the ledger are still counted.
+ */
+async function readSpend() {
+  const ledgerPath = getLedgerPath();
+  const reset = () =>
+    Object.assign(spend, {
+      path: ledgerPath,
+      offset: 0,
+      days: new Map(),
+      sessions: new Map(),
+    });
+  if (spend.path !== ledgerPath) reset();
+
+  let handle;
+  try {
+    handle = await fs.open(ledgerPath, "r");
+  } catch (error) {
+    if (error.code === "ENOENT") return reset();
+    throw error;
+  }
+  try {
+    const { size } = await handle.stat();
+    if (size < spend.offset) reset();
+    if (size === spend.offset) return spend;
+
+    const buffer = Buffer.alloc(size - spend.offset);
+    await handle.read(buffer, 0, buffer.length, spend.offset);
+    // Leave a line that is still being written for the next read
+    const end = buffer.lastIndexOf("\n") + 1;
+    const text = buffer.subarray(0, end).toString("utf8");
+    for (const entry of parseJsonLines(text)) {
+      if (!entry?.cost_usd) continue;
+      const day = entry.timestamp.slice(0, 10);
+      const sessionId = entry.session_id;
+      spend.days.set(day, (spend.days.get(day) ?? 0) + entry.cost_usd);
+      spend.sessions.set(
+        sessionId,
+        (spend.sessions.get(sessionId) ?? 0) + entry.cost_usd
+      );
+    }
+    spend.offset += end;
+    return spend;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Runs a tool call through the ledger: rejects it if its estimated cost
+ * would exceed a budget, and records what it cost once it succeeds. A call
+ * that fails after OpenAI accepted it, or without OpenAI ever answering, is
+ * recorded at its estimated cost, since it may still have been billed. Calls
+ * to tools OpenAI does not bill for run unmetered.
+ *
+ * @param {Object} tool - The tool being called.
+ * @param {Object} args - The validated tool arguments.
+ * @param {Object} context - The tool context, identifying the session and user.
+ * @param {Function} run - Performs the call.
+ * @returns {Promise<*>} The tool's result.
+ */
+export async function meterToolCall(tool, args, context, run) {
+  const toolName = tool.definition.function.name;
+  if (!isBillable(toolName)) return run();
+
+  const fullArgs = applyDefaults(tool.definition.function.parameters, args);
+  const estimate = estimateCost(toolName, fullArgs);
+  const caller = {
+    session_id: getSessionId(context),
+    client_id: context.clientId,
+    user: context.user,
+  };
+  const release = await reserveBudget(estimate.cost_usd, context);
+  const requests = {};
+  try {
+    let result;
+    try {
+      result = await trackRequests(requests, run);
+    } catch (error) {
+      if (requests.accepted || requests.unconfirmed) {
+        await recordUsage({
+          tool: toolName,
+          ...estimate,
+          status: "failed",
+          ...caller,
+        });
+      }
+      throw error;
+    }
+
+    const data = isToolResult(result) ? result.structuredContent : result;
+    await recordUsage({
+      tool: toolName,
+      ...estimateCost(toolName, fullArgs, data),
+      ...caller,
+    });
+    return result;
+  } finally {
+    // Only now is the cost in the ledger, so the reservation can go
+    release();
+  }
+}
+
+/**
+ * Checks the budgets with a call's estimated cost, counting the estimates of
+ * calls still running, and holds the estimate until the call is recorded.
+ * @returns {Promise<Function>} Releases the reservation.
+ */
+async function reserveBudget(estimate, context) {
+  const reservation = {
+    day: new Date().toISOString().slice(0, 10),
+    sessionId: getSessionId(context),
+    cost: estimate,
+  };
+  const check = budgetChecks.then(async () => {
+    await checkBudgets(estimate, context);
+    reservations.add(reservation);
+  });
+  budgetChecks = check.catch(() => {});
+  await check;
+  return () => reservations.delete(reservation);
+}
+
+async function checkBudgets(estimate, context) {
+  const budgets = await getBudgetStatus(context);
+  const sessionId = getSessionId(context);
+  const pending = (filter) =>
+    [...reservations]
+      .filter(filter)
+      .reduce((sum, reservation) => sum + reservation.cost, 0);
+  const today = new Date().toISOString().slice(0, 10);
+
+  for (const [name, label, inFlight] of [
+    ["daily", "Daily", pending((reservation) => reservation.day === today)],
+    [
+      "session",
+      "Session",
+      pending((reservation) => reservation.sessionId === sessionId),
+    ],
+  ]) {
+    const budget = budgets[name];
+    const spent = round((budget?.spent_usd ?? 0) + inFlight);
+    if (budget && spent + estimate > budget.limit_usd) {
+      throw new ToolError(
+        `${label} budget of $${budget.limit_usd} exceeded: $${spent} already spent or committed, this call is estimated at $${estimate}.`,
+        { category: "budget", code: "budget_exceeded" }
+      );
+    }
+  }
+}
+
+async function recordUsage(usage) {
+  const entry = { timestamp: new Date().toISOString(), ...usage };
+  try {
+    const ledgerPath = getLedgerPath();
+    await fs.mkdir(path.dirname(ledgerPath), { recursive: true });
+    await fs.appendFile(ledgerPath, `${JSON.stringify(entry)}\n`);
+  } catch (error) {
+    // The call was already billed; don't fail it over the ledger
+    console.error("[Error] Failed to record usage:", error);
+  }
+}
+
+function getBudgets() {
+  const parse = (value) => {
+    const budget = Number.parseFloat(value);
+    return Number.isFinite(budget) ? budget : undefined;
+  };
+  return {
+    daily: parse(process.env.USAGE_DAILY_BUDGET_USD),
+    session: parse(process.env.USAGE_SESSION_BUDGET_USD),
+  };
+}
+
+/**
+ * Identifies the session a tool call belongs to in the ledger.
+ * @param {Object} context - The tool context.
+ * @returns {string} The transport session ID, or this process's ID for stdio.
+ */
+export function getSessionId(context) {
+  return context.sessionId || PROCESS_SESSION_ID;
+}
+
+function groupValue(entry, field) {
+  switch (field) {
+    case "day":
+      return entry.timestamp.slice(0, 10);
+    case "session":
+      return entry.session_id ?? null;
+    default:
+      return entry[field] ?? null;
+  }
+}
+
+function addEntry(totals, entry) {
+  totals.calls += 1;
+  totals.images += entry.n ?? 0;
+  totals.tokens += entry.tokens?.total ?? 0;
+  totals.cost_usd += entry.cost_usd ?? 0;
+}
+
+function roundTotals(totals) {
+  return { ...totals, cost_usd: round(totals.cost_usd) };
+}
+
+function round(value) {
+  return Math.round(value * 1_000_000) / 1_000_000;
+}
@@ -0,0 +1,262 @@
+import { ErrorCode, McpError } from "@modelcontextprotocol/sdk/types.js";
+import { MODEL_RULES } from "./model-rules.js";
+
+/**
+ * Validates a value against the subset of JSON Schema used by tool
+ * definitions: type, enum, numeric and length bounds, pattern, items,
+ * properties, required, additionalProperties and anyOf/oneOf.
+ *
+ * @param {Object} schema - The JSON Schema.
+ * @param {*} value - The value to check.
+ * @param {string} [field=""] - Path of the value, used in error messages.
+ * @returns {Array<{field: string, message: string}>} The validation errors.
+ */
+export function validateSchema(schema, value, field = "") {
+  if (!schema || typeof schema !== "object") return [];
+  const errors = [];
+  const fail = (message) => errors.push({ field, message });
+
+  if (schema.anyOf || schema.oneOf) {
+    const branches = schema.anyOf || schema.oneOf;
+    const matches = branches.filter(
+      (branch) => validateSchema(branch, value, field).length === 0
+    ).length;
+    if (schema.anyOf ? matches === 0 : matches !== 1) {
+      fail(`must be ${branches.map(describeSchema).join(" or ")}`);
+      return errors;
+    }
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(type, value))) {
+      fail(`must be of type ${types.join(" or ")}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(
+      `must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`
+    );
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum}`);
+    }
+    if (
+      schema.exclusiveMinimum !== undefined &&
+      value <= schema.exclusiveMinimum
+    ) {
+      fail(`must be > ${schema.exclusiveMinimum}`);
+    }
+    if (
+      schema.exclusiveMaximum !== undefined &&
+      value >= schema.exclusiveMaximum
+    ) {
+      fail(`must be < ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must contain at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) =>
+        errors.push(...validateSchema(schema.items, item, `${field}[${index}]`))
+      );
+    }
+  }
+
+  if (matchesType("object", value)) {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ field: joinField(field, key), message: "is required" });
+      }
+    }
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (propertyValue === undefined) continue;
+      if (properties[key]) {
+        errors.push(
+          ...validateSchema(
+            properties[key],
+            propertyValue,
+            joinField(field, key)
+          )
+        );
+      } else if (schema.additionalProperties === false) {
+        errors.push({
+          field: joinField(field, key),
+          message: "is not allowed",
+        });
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Applies the per-model rule table for a tool. Unsupported options are
+ * dropped with a warning, unless `strict` is set, in which case they are
+ * reported as errors like every other violated rule.
+ *
+ * @param {string} toolName - The tool name.
+ * @param {Object} schema - The tool's parameters schema, used for the default model.
+ * @param {Object} args - The call arguments.
+ * @param {Object} [options] - Rule options.
+ * @param {boolean} [options.strict] - Reject unsupported options instead of dropping them.
+ * @returns {{args: Object, warnings: Array<string>, errors: Array<Object>}}
+ */
+export function applyModelRules(toolName, schema, args, { strict } = {}) {
+  const model = args.model ?? schema?.properties?.model?.default;
+  const rules = MODEL_RULES[toolName]?.[model];
+  const result = { args: { ...args }, warnings: [], errors: [] };
+  if (!rules) return result;
+
+  const fail = (field, message) =>
+    result.errors.push({ field, message: `${message} for ${model}` });
+
+  for (const field of rules.unsupported || []) {
+    if (args[field] === undefined) continue;
+    if (strict) {
+      fail(field, "is not supported");
+    } else {
+      delete result.args[field];
+      result.warnings.push(
+        `Ignored "${field}" because it is not supported by ${model}.`
+      );
+    }
+  }
+  for (const [field, allowed] of Object.entries(rules.allowed || {})) {
+    if (args[field] !== undefined && !allowed.includes(args[field])) {
+      fail(field, `must be one of ${allowed.join(", ")}`);
+    }
+  }
+  for (const [field, maximum] of Object.entries(rules.maximum || {})) {
+    if (args[field] !== undefined && args[field] > maximum) {
+      fail(field, `must be <= ${maximum}`);
+    }
+  }
+  for (const [field, maxLength] of Object.entries(rules.maxLength || {})) {
+    if (typeof args[field] === "string" && args[field].length > maxLength) {
+      fail(field, `must be at most ${maxLength} characters`);
+    }
+  }
+  for (const [field, maxItems] of Object.entries(rules.maxItems || {})) {
+    const count = Array.isArray(args[field]) ? args[field].length : 1;
+    if (args[field] !== undefined && count > maxItems) {
+      fail(field, `must contain at most ${maxItems} item(s)`);
+    }
+  }
+  for (const check of rules.checks || []) {
+    if (!check.test(result.args)) fail(check.field, check.message);
+  }
+
+  return result;
+}
+
+/**
+ * Validates a tool call against the tool's declared parameters and its
+ * per-model rules. Strict mode is enabled with `MODEL_VALIDATION=strict`.
+ *
+ * @param {Object} tool - The tool, as returned by `discoverTools`.
+ * @param {Object} [args] - The call arguments.
+ * @returns {{args: Object, warnings: Array<string>}} The arguments to call the tool with.
+ * @throws {McpError} InvalidParams naming the offending field.
+ */
+export function validateToolArguments(tool, args = {}) {
+  const { name, parameters } = tool.definition.function;
+  const schemaErrors = validateSchema(parameters, args);
+  if (schemaErrors.length) throw invalidParams(name, schemaErrors);
+
+  const {
+    args: validArgs,
+    warnings,
+    errors,
+  } = applyModelRules(name, parameters, args, {
+    strict: process.env.MODEL_VALIDATION === "strict",
+  });
+  if (errors.length) throw invalidParams(name, errors);
+  return { args: validArgs, warnings };
+}
+
+/**
+ * Fills in the schema defaults for top-level arguments the caller left out,
+ * mirroring the defaults each tool applies itself.
+ *
+ * @param {Object} schema - The tool's parameters schema.
+ * @param {Object} args - The tool arguments.
+ * @returns {Object} A copy of the arguments with defaults applied.
+ */
+export function applyDefaults(schema, args = {}) {
+  const defaults = {};
+  for (const [key, property] of Object.entries(schema?.properties || {})) {
+    if (property.default !== undefined) defaults[key] = property.default;
+  }
+  return { ...defaults, ...args };
+}
+
+function invalidParams(toolName, errors) {
+  const details = errors.map(({ field, message }) => `"${field}" ${message}`);
+  return new McpError(
+    ErrorCode.InvalidParams,
+    `Invalid arguments for ${toolName}: ${details.join("; ")}`,
+    { field: errors[0].field, errors }
+  );
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case "string":
+      return typeof value === "string";
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "boolean":
+      return typeof value === "boolean";
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return (
+        typeof value === "object" && value !== null && !Array.isArray(value)
+      );
+    case "null":
+      return value === null;
+    default:
+      return true;
+  }
+}
+
+function describeSchema(schema) {
+  if (schema.type === "array" && schema.items?.type) {
+    return `an array of ${schema.items.type}s`;
+  }
+  return schema.type ? `a ${schema.type}` : "a valid value";
+}
+
+function joinField(parent, key) {
+  return parent ? `${parent}.${key}` : key;
+}
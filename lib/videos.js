@@ -0,0 +1,40 @@
+import { ToolError } from "./errors.js";
+import { openaiRequest, sleep } from "./openai-client.js";
+
+const TERMINAL_STATUSES = ["completed", "failed"];
+
+/**
+ * Polls a video job until it completes, fails or the timeout elapses.
+ *
+ * @param {string} videoId - The video job ID.
+ * @param {Object} [options] - Polling options.
+ * @param {number} [options.intervalMs=10000] - Delay between status checks.
+ * @param {number} [options.timeoutMs=600000] - How long to wait before giving up.
+ * @param {Object} [options.context] - The tool context, used to report job progress and whose signal cancels the wait.
+ * @returns {Promise<Object>} The last video object retrieved.
+ */
+export async function waitForVideo(
+  videoId,
+  { intervalMs = 10000, timeoutMs = 600000, context = {} } = {}
+) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const video = await openaiRequest(
+      `/videos/${encodeURIComponent(videoId)}`,
+      { signal: context.signal }
+    );
+    await context.reportProgress?.({
+      progress: video.progress ?? 0,
+      total: 100,
+      message: `Video ${videoId} is ${video.status}`,
+    });
+    if (TERMINAL_STATUSES.includes(video.status)) return video;
+    if (Date.now() + intervalMs > deadline) {
+      throw new ToolError(
+        `Timed out waiting for video ${videoId} (status: ${video.status}, progress: ${video.progress ?? 0}%). Poll it with RetrieveVideo.`,
+        { category: "server", retryable: true, code: "wait_timeout" }
+      );
+    }
+    await sleep(intervalMs, context.signal);
+  }
+}
@@ -5,14 +5,43 @@ import express from "express";
 import { Server } from "@modelcontextprotocol/sdk/server/index.js";
 import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js";
 import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
 import {
   CallToolRequestSchema,
   ErrorCode,
+  GetPromptRequestSchema,
+  isInitializeRequest,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
-import { discoverTools } from "./lib/tools.js";
+import { discoverTools, runTool } from "./lib/tools.js";
+import { createAuthMiddleware } from "./lib/auth.js";
+import { errorResult } from "./lib/errors.js";
+import { InMemoryEventStore } from "./lib/event-store.js";
+import { withClientConfig } from "./lib/openai-client.js";
+import {
+  describePrompt,
+  loadAvailablePrompts,
+  renderPrompt,
+} from "./lib/prompts.js";
+import {
+  FILE_RESOURCE_TEMPLATE,
+  listFileResources,
+  MEDIA_INDEX_URI,
+  MediaRegistry,
+  readFileResource,
+} from "./lib/resources.js";
+import { isToolResult } from "./lib/results.js";
+import { createToolContext } from "./lib/tool-context.js";
+import { validateToolArguments } from "./lib/validation.js";
 
+import { randomUUID } from "crypto";
 import path from "path";
 import { fileURLToPath } from "url";
 
@@ -22,6 +51,7 @@ const __dirname = path.dirname(__filename);
 dotenv.config({ path: path.resolve(__dirname, ".env") });
 
 const SERVER_NAME = "generated-mcp-server";
+const DEFAULT_SESSION_IDLE_MS = 30 * 60 * 1000;
 
 async function transformTools(tools) {
   return tools
@@ -37,118 +67,363 @@ async function transformTools(tools) {
     .filter(Boolean);
 }
 
-async function setupServerHandlers(server, tools) {
+/**
+ * Runs a request handler with the OpenAI configuration of the calling client.
+ * Pass-through clients pay for their own calls with their own key.
+ */
+function asClient(extra, fn) {
+  return withClientConfig({ apiKey: extra.authInfo?.extra?.openaiApiKey }, fn);
+}
+
+/**
+ * Registers the inline image and audio blocks of a tool result as resources
+ * and links each one from the result.
+ */
+function registerMediaContent(media, content, toolName) {
+  const links = [];
+  for (const block of content) {
+    if (block.type !== "image" && block.type !== "audio") continue;
+    const { uri, name, mimeType } = media.register({
+      data: Buffer.from(block.data, "base64"),
+      mimeType: block.mimeType,
+      tool: toolName,
+    });
+    links.push({ type: "resource_link", uri, name, mimeType });
+  }
+  return links;
+}
+
+async function setupServerHandlers(server, tools, media) {
   server.setRequestHandler(ListToolsRequestSchema, async () => ({
     tools: await transformTools(tools),
   }));
 
-  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
     const toolName = request.params.name;
     const tool = tools.find((t) => t.definition.function.name === toolName);
     if (!tool) {
       throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${toolName}`);
     }
-    const args = request.params.arguments;
-    const requiredParameters =
-      tool.definition?.function?.parameters?.required || [];
-    for (const requiredParameter of requiredParameters) {
-      if (!(requiredParameter in args)) {
-        throw new McpError(
-          ErrorCode.InvalidParams,
-          `Missing required parameter: ${requiredParameter}`
-        );
-      }
-    }
+    // Reject invalid arguments before they cost an API round trip
+    const { args, warnings } = validateToolArguments(
+      tool,
+      request.params.arguments
+    );
+    const notes = warnings.map((warning) => ({ type: "text", text: warning }));
     try {
-      const result = await tool.function(args);
+      const context = {
+        ...createToolContext(request, extra),
+        registerMedia: (item) => media.register({ ...item, tool: toolName }),
+      };
+      const result = await asClient(extra, () => runTool(tool, args, context));
+      // Tools returning media build their own content blocks
+      if (isToolResult(result)) {
+        const { structuredContent } = result;
+        const links = registerMediaContent(media, result.content, toolName);
+        const content = [...result.content, ...links, ...notes];
+        return structuredContent ? { content, structuredContent } : { content };
+      }
       return {
         content: [
           {
             type: "text",
             text: JSON.stringify(result, null, 2),
           },
+          ...notes,
         ],
       };
     } catch (error) {
-      console.error("[Error] Failed to fetch data:", error);
-      throw new McpError(
-        ErrorCode.InternalError,
-        `API error: ${error.message}`
-      );
+      if (error instanceof McpError) throw error;
+      console.error(`[Error] ${toolName} failed:`, error);
+      // Report tool failures as results so clients can tell them from success
+      return errorResult(error);
+    }
+  });
+
+  server.setRequestHandler(
+    ListResourcesRequestSchema,
+    async (request, extra) => {
+      const cursor = request.params?.cursor;
+      const files = await asClient(extra, () => listFileResources(cursor));
+      // Session media comes first and only on the first page
+      const sessionResources = cursor
+        ? []
+        : [
+            {
+              uri: MEDIA_INDEX_URI,
+              name: "session-media",
+              description: "Index of the media produced in this session.",
+              mimeType: "application/json",
+            },
+            ...media.list(),
+          ];
+      return {
+        resources: [...sessionResources, ...files.resources],
+        nextCursor: files.nextCursor,
+      };
+    }
+  );
+
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+    resourceTemplates: [FILE_RESOURCE_TEMPLATE],
+  }));
+
+  server.setRequestHandler(
+    ReadResourceRequestSchema,
+    async (request, extra) => {
+      const { uri } = request.params;
+      if (uri === MEDIA_INDEX_URI) {
+        return {
+          contents: [
+            {
+              uri,
+              mimeType: "application/json",
+              text: JSON.stringify(media.list(), null, 2),
+            },
+          ],
+        };
+      }
+      const contents =
+        (await media.read(uri)) ||
+        (await asClient(extra, () => readFileResource(uri)));
+      if (!contents) {
+        throw new McpError(ErrorCode.InvalidParams, `Unknown resource: ${uri}`);
+      }
+      return { contents: [contents] };
+    }
+  );
+
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    media.subscriptions.add(request.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    media.subscriptions.delete(request.params.uri);
+    return {};
+  });
+
+  server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+    prompts: (await loadAvailablePrompts(tools)).map(describePrompt),
+  }));
+
+  server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+    const { name, arguments: values } = request.params;
+    const template = (await loadAvailablePrompts(tools)).find(
+      (t) => t.name === name
+    );
+    if (!template) {
+      throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+    }
+    return renderPrompt(template, values, tools);
+  });
+}
+
+/**
+ * Creates an MCP server instance with the tool handlers registered.
+ * @param {Array} tools - The discovered tools.
+ * @returns {Promise<Server>} The server.
+ */
+async function createServer(tools) {
+  const server = new Server(
+    {
+      name: SERVER_NAME,
+      version: "0.1.0",
+    },
+    {
+      capabilities: {
+        tools: {},
+        resources: { subscribe: true, listChanged: true },
+        prompts: {},
+      },
+    }
+  );
+  server.onerror = (error) => console.error("[Error]", error);
+
+  // New media changes the resource list and the session media index
+  const media = new MediaRegistry({
+    onChange: async (resource) => {
+      try {
+        await server.sendResourceListChanged();
+        for (const uri of [MEDIA_INDEX_URI, resource.uri]) {
+          if (media.subscriptions.has(uri)) {
+            await server.sendResourceUpdated({ uri });
+          }
+        }
+      } catch (error) {
+        console.error("[Error] Failed to send resource notification:", error);
+      }
+    },
+  });
+
+  await setupServerHandlers(server, tools, media);
+  return server;
+}
+
+/**
+ * Registers the legacy HTTP+SSE transport on `/sse` and `/messages`.
+ * @param {express.Express} app - The express app.
+ * @param {Array} tools - The discovered tools.
+ */
+function setupSSERoutes(app, tools, auth) {
+  const transports = {};
+  const servers = {};
+
+  app.get("/sse", auth, async (_req, res) => {
+    // Create a new Server instance for each session
+    const server = await createServer(tools);
+
+    const transport = new SSEServerTransport("/messages", res);
+    transports[transport.sessionId] = transport;
+    servers[transport.sessionId] = server;
+
+    res.on("close", async () => {
+      delete transports[transport.sessionId];
+      await server.close();
+      delete servers[transport.sessionId];
+    });
+
+    await server.connect(transport);
+  });
+
+  app.post("/messages", auth, async (req, res) => {
+    const sessionId = req.query.sessionId;
+    const transport = transports[sessionId];
+    const server = servers[sessionId];
+
+    if (transport && server) {
+      await transport.handlePostMessage(req, res);
+    } else {
+      res.status(400).send("No transport/server found for sessionId");
+    }
+  });
+}
+
+/**
+ * Registers the Streamable HTTP transport on a single `/mcp` endpoint. Each
+ * session gets its own server and event store; the store lets clients resume
+ * a dropped stream with `Last-Event-ID`. A session with no open request or
+ * stream for `HTTP_SESSION_IDLE_MS` (default 30 minutes) is closed.
+ * @param {express.Express} app - The express app.
+ * @param {Array} tools - The discovered tools.
+ * @returns {Object<string, StreamableHTTPServerTransport>} Active transports by session ID.
+ */
+function setupStreamableHTTPRoutes(app, tools, auth) {
+  const transports = {};
+  const idleMs =
+    Number(process.env.HTTP_SESSION_IDLE_MS) || DEFAULT_SESSION_IDLE_MS;
+  // Open responses and the idle timer of each session, by transport
+  const activity = new Map();
+
+  // Holds the session open while the response is, and starts the idle timer
+  // once the session has no responses left
+  const trackResponse = (transport, res) => {
+    const state = activity.get(transport);
+    clearTimeout(state.timer);
+    state.open += 1;
+    res.on("close", () => {
+      state.open -= 1;
+      if (state.open > 0 || !activity.has(transport)) return;
+      state.timer = setTimeout(() => state.server.close(), idleMs);
+      state.timer.unref();
+    });
+  };
+
+  const sendError = (res, status, message) =>
+    res.status(status).json({
+      jsonrpc: "2.0",
+      error: { code: ErrorCode.InvalidRequest, message },
+      id: null,
+    });
+
+  app.post("/mcp", auth, express.json({ limit: "50mb" }), async (req, res) => {
+    const sessionId = req.headers["mcp-session-id"];
+    let transport = sessionId && transports[sessionId];
+
+    if (!transport) {
+      if (sessionId) {
+        return sendError(res, 404, "Session not found");
+      }
+      if (!isInitializeRequest(req.body)) {
+        return sendError(res, 400, "No valid session ID provided");
+      }
+
+      // Create a new Server instance for each session
+      const server = await createServer(tools);
+      transport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        eventStore: new InMemoryEventStore(),
+        onsessioninitialized: (id) => {
+          transports[id] = transport;
+        },
+      });
+      // connect() takes over transport.onclose, so clean up on the server's
+      server.onclose = () => {
+        clearTimeout(activity.get(transport).timer);
+        activity.delete(transport);
+        if (transport.sessionId) delete transports[transport.sessionId];
+      };
+      activity.set(transport, { server, open: 0 });
+      await server.connect(transport);
     }
+
+    trackResponse(transport, res);
+    await transport.handleRequest(req, res, req.body);
   });
+
+  // GET opens (or resumes) the notification stream; DELETE ends the session
+  const handleSessionRequest = async (req, res) => {
+    const sessionId = req.headers["mcp-session-id"];
+    const transport = sessionId && transports[sessionId];
+    if (!transport) {
+      return sessionId
+        ? sendError(res, 404, "Session not found")
+        : sendError(res, 400, "No valid session ID provided");
+    }
+    trackResponse(transport, res);
+    await transport.handleRequest(req, res);
+  };
+  app.get("/mcp", auth, handleSessionRequest);
+  app.delete("/mcp", auth, handleSessionRequest);
+
+  return transports;
 }
 
 async function run() {
   const args = process.argv.slice(2);
   const isSSE = args.includes("--sse");
+  const isHTTP = args.includes("--http");
   const tools = await discoverTools();
 
-  if (isSSE) {
+  if (isSSE || isHTTP) {
     const app = express();
-    const transports = {};
-    const servers = {};
+    let httpTransports = {};
 
-    app.get("/sse", async (_req, res) => {
-      // Create a new Server instance for each session
-      const server = new Server(
-        {
-          name: SERVER_NAME,
-          version: "0.1.0",
-        },
-        {
-          capabilities: {
-            tools: {},
-          },
-        }
+    const auth = createAuthMiddleware();
+    if (auth.length === 0) {
+      console.warn(
+        "[Auth] No authentication configured; anyone who can reach the port can use the server's OpenAI key"
       );
-      server.onerror = (error) => console.error("[Error]", error);
-      await setupServerHandlers(server, tools);
-
-      const transport = new SSEServerTransport("/messages", res);
-      transports[transport.sessionId] = transport;
-      servers[transport.sessionId] = server;
-
-      res.on("close", async () => {
-        delete transports[transport.sessionId];
-        await server.close();
-        delete servers[transport.sessionId];
-      });
-
-      await server.connect(transport);
-    });
+    }
 
-    app.post("/messages", async (req, res) => {
-      const sessionId = req.query.sessionId;
-      const transport = transports[sessionId];
-      const server = servers[sessionId];
+    if (isSSE) setupSSERoutes(app, tools, auth);
+    if (isHTTP) httpTransports = setupStreamableHTTPRoutes(app, tools, auth);
 
-      if (transport && server) {
-        await transport.handlePostMessage(req, res);
-      } else {
-        res.status(400).send("No transport/server found for sessionId");
+    process.on("SIGINT", async () => {
+      for (const transport of Object.values(httpTransports)) {
+        await transport.close();
       }
+      process.exit(0);
     });
 
     const port = process.env.PORT || 3001;
     app.listen(port, () => {
-      console.log(`[SSE Server] running on port ${port}`);
+      if (isHTTP) console.log(`[HTTP Server] running on port ${port}`);
+      if (isSSE) console.log(`[SSE Server] running on port ${port}`);
     });
   } else {
     // stdio mode: single server instance
-    const server = new Server(
-      {
-        name: SERVER_NAME,
-        version: "0.1.0",
-      },
-      {
-        capabilities: {
-          tools: {},
-        },
-      }
-    );
-    server.onerror = (error) => console.error("[Error]", error);
-    await setupServerHandlers(server, tools);
+    const server = await createServer(tools);
 
     process.on("SIGINT", async () => {
       await server.close();
@@ -0,0 +1,49 @@
+import assert from "node:assert/strict";
+import { createHmac } from "crypto";
+import { test } from "node:test";
+import { createTokenVerifier } from "../lib/auth.js";
+
+const config = {
+  tokens: ["static-token"],
+  jwtSecret: "secret",
+  requiredScopes: [],
+};
+
+function signJwt(payload) {
+  const encode = (value) =>
+    Buffer.from(JSON.stringify(value)).toString("base64url");
+  const data = `${encode({ alg: "HS256", typ: "JWT" })}.${encode(payload)}`;
+  const signature = createHmac("sha256", "secret")
+    .update(data)
+    .digest("base64url");
+  return `${data}.${signature}`;
+}
+
+test("static tokens carry an expiry in the future", async () => {
+  const auth =
+    await createTokenVerifier(config).verifyAccessToken("static-token");
+  assert.equal(auth.clientId, "token:0");
+  assert.ok(auth.expiresAt > Date.now() / 1000);
+});
+
+test("JWTs without exp carry an expiry in the future", async () => {
+  const auth = await createTokenVerifier(config).verifyAccessToken(
+    signJwt({ sub: "alice" })
+  );
+  assert.ok(auth.expiresAt > Date.now() / 1000);
+});
+
+test("JWT expiry allows for clock skew", async () => {
+  const exp = Math.floor(Date.now() / 1000) - 30;
+  const auth = await createTokenVerifier(config).verifyAccessToken(
+    signJwt({ sub: "alice", exp })
+  );
+  assert.ok(auth.expiresAt > Date.now() / 1000);
+
+  await assert.rejects(
+    createTokenVerifier(config).verifyAccessToken(
+      signJwt({ sub: "alice", exp: exp - 60 })
+    ),
+    { message: "Token has expired" }
+  );
+});
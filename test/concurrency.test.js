@@ -0,0 +1,32 @@
+import assert from "node:assert/strict";
+import { setTimeout as delay } from "timers/promises";
+import { test } from "node:test";
+import { mapWithConcurrency } from "../lib/concurrency.js";
+
+test("results keep the input order", async () => {
+  const results = await mapWithConcurrency([30, 10, 20], 3, async (ms) => {
+    await delay(ms);
+    return ms;
+  });
+  assert.deepEqual(results, [30, 10, 20]);
+});
+
+test("a failure stops new calls and waits for the calls in flight", async () => {
+  const started = [];
+  let running = 0;
+  await assert.rejects(
+    mapWithConcurrency([0, 1, 2, 3, 4, 5], 2, async (item) => {
+      started.push(item);
+      running += 1;
+      try {
+        if (item === 0) throw new Error("part 0 failed");
+        await delay(20);
+      } finally {
+        running -= 1;
+      }
+    }),
+    { message: "part 0 failed" }
+  );
+  assert.equal(running, 0);
+  assert.deepEqual(started, [0, 1]);
+});
@@ -0,0 +1,33 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { classifyError } from "../lib/errors.js";
+
+test("fetch failures are retryable network errors", () => {
+  const error = new TypeError("fetch failed", {
+    cause: Object.assign(new Error("reset"), { code: "ECONNRESET" }),
+  });
+  assert.deepEqual(
+    [classifyError(error).category, classifyError(error).retryable],
+    ["network", true]
+  );
+});
+
+test("programming errors are not reported as network errors", () => {
+  let error;
+  try {
+    undefined.foo;
+  } catch (caught) {
+    error = caught;
+  }
+  const details = classifyError(error);
+  assert.equal(details.category, "server");
+  assert.equal(details.retryable, false);
+});
+
+test("cancelled calls are not retryable", () => {
+  const controller = new AbortController();
+  controller.abort();
+  const details = classifyError(controller.signal.reason);
+  assert.equal(details.category, "cancelled");
+  assert.equal(details.retryable, false);
+});
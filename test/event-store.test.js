@@ -0,0 +1,36 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { InMemoryEventStore } from "../lib/event-store.js";
+
+const replay = async (store, lastEventId) => {
+  const sent = [];
+  const streamId = await store.replayEventsAfter(lastEventId, {
+    send: async (eventId, message) => sent.push(message.id),
+  });
+  return { streamId, sent };
+};
+
+test("events after the last one received are replayed from its stream", async () => {
+  const store = new InMemoryEventStore();
+  const first = await store.storeEvent("a", { id: 1 });
+  await store.storeEvent("b", { id: 2 });
+  await store.storeEvent("a", { id: 3 });
+  assert.deepEqual(await replay(store, first), { streamId: "a", sent: [3] });
+  assert.deepEqual(await replay(store, "unknown"), { streamId: "", sent: [] });
+});
+
+test("the oldest events are dropped across streams once a limit is hit", async () => {
+  const store = new InMemoryEventStore({ maxEvents: 2 });
+  const first = await store.storeEvent("a", { id: 1 });
+  const second = await store.storeEvent("b", { id: 2 });
+  await store.storeEvent("b", { id: 3 });
+  assert.equal((await replay(store, first)).streamId, "");
+  assert.deepEqual(await replay(store, second), { streamId: "b", sent: [3] });
+  assert.equal(store.streams.has("a"), false);
+
+  const small = new InMemoryEventStore({ maxBytes: 100 });
+  const big = await small.storeEvent("a", { id: 1, data: "x".repeat(60) });
+  await small.storeEvent("a", { id: 2, data: "x".repeat(60) });
+  assert.equal((await replay(small, big)).streamId, "");
+  assert.ok(small.bytes <= 100);
+});
@@ -0,0 +1,52 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { checkFileFilters, matchesFileFilters } from "../lib/files.js";
+import { apiTool as cleanupFiles } from "../tools/openai-files/cleanup-files.js";
+
+const file = {
+  id: "file-1",
+  filename: "generate-image-1.png",
+  purpose: "vision",
+  bytes: 100,
+  created_at: Date.UTC(2024, 5, 1) / 1000,
+};
+
+test("date filters compare against created_at", () => {
+  assert.equal(
+    matchesFileFilters(file, { created_before: "2024-07-01" }),
+    true
+  );
+  assert.equal(
+    matchesFileFilters(file, { created_before: "2024-05-01" }),
+    false
+  );
+  assert.equal(
+    matchesFileFilters(file, { created_after: "2024-06-01T00:00:00Z" }),
+    true
+  );
+});
+
+test("invalid dates are rejected instead of matching every file", () => {
+  for (const value of [
+    "2024-13-45",
+    "2024-02-30",
+    "2024-01-01junk",
+    "2024-01-01T25:00Z",
+  ]) {
+    assert.throws(
+      () => checkFileFilters({ created_before: value }),
+      { name: "ToolError", code: "invalid_date" },
+      value
+    );
+    assert.throws(() => matchesFileFilters(file, { created_after: value }), {
+      code: "invalid_date",
+    });
+  }
+});
+
+test("CleanupFiles rejects a bad date before listing any files", async () => {
+  await assert.rejects(
+    cleanupFiles.function({ created_before: "2024-13-45", dry_run: false }),
+    { code: "invalid_date" }
+  );
+});
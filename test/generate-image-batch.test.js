@@ -0,0 +1,79 @@
+import assert from "node:assert/strict";
+import { createServer } from "http";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { after, before, test } from "node:test";
+import { apiTool as generateImageBatch } from "../tools/openai-image-generation/generate-image-batch.js";
+
+// A 1x1 transparent PNG
+const PNG =
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=";
+
+let directory;
+let server;
+
+before(async () => {
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), "batch-test-"));
+  server = createServer(async (req, res) => {
+    let body = "";
+    for await (const chunk of req) body += chunk;
+    const { prompt } = JSON.parse(body);
+    res.setHeader("content-type", "application/json");
+    if (prompt === "fail") {
+      res.statusCode = 400;
+      return res.end(
+        JSON.stringify({
+          error: { message: "Your request was rejected.", code: "bad" },
+        })
+      );
+    }
+    res.end(JSON.stringify({ created: 1, data: [{ b64_json: PNG }] }));
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  Object.assign(process.env, {
+    OPENAI_API_KEY: "test",
+    OPENAI_BASE_URL: `http://127.0.0.1:${server.address().port}/v1`,
+    HISTORY_PATH: path.join(directory, "history.jsonl"),
+    HISTORY_MEDIA_DIR: path.join(directory, "media"),
+    USAGE_LEDGER_PATH: path.join(directory, "usage.jsonl"),
+  });
+});
+
+after(async () => {
+  server.close();
+  for (const name of [
+    "OPENAI_API_KEY",
+    "OPENAI_BASE_URL",
+    "HISTORY_PATH",
+    "HISTORY_MEDIA_DIR",
+    "USAGE_LEDGER_PATH",
+  ]) {
+    delete process.env[name];
+  }
+  await fs.rm(directory, { recursive: true, force: true });
+});
+
+test("a failed item is reported without failing the rest of the batch", async () => {
+  const { structuredContent } = await generateImageBatch.function({
+    defaults: { model: "gpt-image-1" },
+    items: [
+      { prompt: "a fox" },
+      { prompt: "a cat", model: "dall-e-3", n: 10 },
+      { prompt: "fail" },
+      { prompt: "a dog" },
+    ],
+    include_images: true,
+  });
+  const { results, ...counts } = structuredContent;
+  assert.deepEqual(counts, { total: 4, succeeded: 2, failed: 2 });
+  const [fox, cat, failed, dog] = results;
+  assert.equal(fox.status, "succeeded");
+  assert.equal(fox.images.length, 1);
+  assert.equal(dog.status, "succeeded");
+  assert.equal(cat.status, "failed");
+  assert.equal(cat.error.code, "invalid_arguments");
+  assert.match(cat.error.message, /"n"/);
+  assert.equal(failed.status, "failed");
+  assert.equal(failed.error.status, 400);
+});
@@ -0,0 +1,116 @@
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { after, before, beforeEach, test } from "node:test";
+import {
+  getGeneration,
+  readHistory,
+  recordToolCall,
+  searchHistory,
+} from "../lib/history.js";
+import { imageContent, jsonContent, toolResult } from "../lib/results.js";
+import { apiTool as generateImage } from "../tools/openai-image-generation/generate-image.js";
+import { apiTool as searchGenerations } from "../tools/openai-history/search-generations.js";
+
+// A 1x1 PNG
+const PNG = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=",
+  "base64"
+);
+
+let directory;
+
+before(async () => {
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), "history-test-"));
+  process.env.HISTORY_MEDIA_DIR = path.join(directory, "media");
+});
+
+beforeEach(async (t) => {
+  process.env.HISTORY_PATH = path.join(directory, `${t.name}.jsonl`);
+});
+
+after(async () => {
+  delete process.env.HISTORY_PATH;
+  delete process.env.HISTORY_MEDIA_DIR;
+  await fs.rm(directory, { recursive: true, force: true });
+});
+
+function generate(prompt, context = {}) {
+  const images = [{ mime_type: "image/png" }];
+  return recordToolCall(
+    generateImage,
+    { prompt, model: "gpt-image-1" },
+    context,
+    async () =>
+      toolResult([imageContent(PNG, "image/png"), jsonContent({ images })], {
+        model: "gpt-image-1",
+        images,
+      })
+  );
+}
+
+test("images returned without a path are kept only when enabled", async () => {
+  await generate("a red square");
+  assert.equal((await readHistory())[0].outputs[0].path, undefined);
+
+  process.env.HISTORY_KEEP_MEDIA = "true";
+  try {
+    await generate("a blue square");
+  } finally {
+    delete process.env.HISTORY_KEEP_MEDIA;
+  }
+  const [output] = (await readHistory())[0].outputs;
+  assert.ok(output.path.startsWith(process.env.HISTORY_MEDIA_DIR));
+  assert.deepEqual(await fs.readFile(output.path), PNG);
+});
+
+test("history lookups only see the caller's records", async () => {
+  await generate("mine", { clientId: "token:0" });
+  await generate("theirs", { clientId: "token:1" });
+  await generate("local");
+
+  const mine = await searchHistory({ clientId: "token:0" });
+  assert.deepEqual(
+    mine.generations.map((record) => record.prompt),
+    ["mine"]
+  );
+  const local = await searchHistory({ clientId: null });
+  assert.deepEqual(
+    local.generations.map((record) => record.prompt),
+    ["local"]
+  );
+  assert.equal((await searchHistory()).total, 3);
+
+  const [theirs] = (await searchHistory({ clientId: "token:1" })).generations;
+  assert.equal(
+    await getGeneration(theirs.id, { clientId: "token:0" }),
+    undefined
+  );
+});
+
+test("since and until are compared as dates", async () => {
+  await generate("today");
+  const today = new Date().toISOString().slice(0, 10);
+
+  // A date-only until covers the whole day
+  assert.equal((await searchHistory({ until: today })).total, 1);
+  assert.equal((await searchHistory({ since: today })).total, 1);
+  // Offsets are honoured instead of compared as text
+  assert.equal(
+    (await searchHistory({ since: `${today}T00:00:00+14:00` })).total,
+    1
+  );
+  assert.equal((await searchHistory({ since: "2999-01-01" })).total, 0);
+});
+
+test("SearchGenerations rejects invalid dates", async () => {
+  await assert.rejects(searchGenerations.function({ since: "2024-13-45" }), {
+    name: "ToolError",
+    code: "invalid_date",
+  });
+  await assert.rejects(searchGenerations.function({ until: "yesterday" }), {
+    name: "ToolError",
+    code: "invalid_date",
+  });
+});
@@ -0,0 +1,108 @@
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import { createServer } from "http";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { test } from "node:test";
+import { readImageInput, resolveInputPath } from "../lib/inputs.js";
+import { apiTool as transcribeAudio } from "../tools/openai-audio/transcribe-audio.js";
+import { apiTool as uploadFile } from "../tools/openai-files/upload-file.js";
+
+const PNG = Buffer.concat([
+  Buffer.from("89504e470d0a1a0a", "hex"),
+  Buffer.alloc(16),
+]);
+
+test("base64 images are decoded", async () => {
+  const image = await readImageInput(PNG.toString("base64"));
+  assert.equal(image.mimeType, "image/png");
+  assert.deepEqual(image.data, PNG);
+});
+
+test("mistyped paths are reported as not found", async () => {
+  for (const value of ["foo.png", "images/missing.jpg", "abcd"]) {
+    await assert.rejects(readImageInput(value), {
+      code: "file_not_found",
+      category: "not_found",
+    });
+  }
+});
+
+test("oversized downloads are refused", async () => {
+  const server = createServer((req, res) => {
+    res.writeHead(200, { "content-type": "image/png" });
+    // Stream without announcing a length until the client gives up
+    const chunk = Buffer.alloc(1024 * 1024);
+    const write = () => {
+      while (res.write(chunk));
+      res.once("drain", write);
+    };
+    write();
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  try {
+    await assert.rejects(
+      readImageInput(`http://127.0.0.1:${server.address().port}/big.png`),
+      { code: "file_too_large" }
+    );
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+});
+
+test("input paths are confined to the input root", async (t) => {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), "inputs-test-"));
+  process.env.INPUT_ROOT = root;
+  t.after(async () => {
+    delete process.env.INPUT_ROOT;
+    await fs.rm(root, { recursive: true, force: true });
+  });
+  await fs.writeFile(path.join(root, "photo.png"), PNG);
+  await fs.symlink("/etc/hostname", path.join(root, "link.png"));
+
+  assert.equal(
+    await resolveInputPath("photo.png", "image"),
+    path.join(root, "photo.png")
+  );
+  for (const value of ["../secret", "/etc/hostname", "link.png"]) {
+    await assert.rejects(
+      resolveInputPath(value, "image"),
+      { name: "ToolError", code: "path_not_allowed" },
+      value
+    );
+  }
+  assert.equal(
+    await resolveInputPath("/etc/hostname", "image", {
+      unconfinedPaths: true,
+    }),
+    "/etc/hostname"
+  );
+});
+
+test("file tools refuse the server's own files", async (t) => {
+  process.env.INPUT_ROOT = os.tmpdir();
+  t.after(() => delete process.env.INPUT_ROOT);
+  const envPath = fileURLToPath(new URL("../.env", import.meta.url));
+  for (const tool of [uploadFile, transcribeAudio]) {
+    await assert.rejects(tool.function({ file_path: envPath }), {
+      name: "ToolError",
+      code: "path_not_allowed",
+    });
+  }
+  await assert.rejects(readImageInput(envPath), {
+    name: "ToolError",
+    code: "path_not_allowed",
+  });
+});
+
+test("base64 that looks like an absolute path is still decoded", async () => {
+  // JPEG data encodes to base64 starting with "/9j/"
+  const jpeg = Buffer.concat([
+    Buffer.from("ffd8ffe0", "hex"),
+    Buffer.alloc(16),
+  ]);
+  const image = await readImageInput(jpeg.toString("base64"));
+  assert.equal(image.mimeType, "image/jpeg");
+});
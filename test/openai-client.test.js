@@ -0,0 +1,99 @@
+import assert from "node:assert/strict";
+import { createServer } from "http";
+import { after, before, test } from "node:test";
+import { openaiRequest, withClientConfig } from "../lib/openai-client.js";
+
+let server;
+let baseUrl;
+const hits = {};
+const streams = [];
+
+before(async () => {
+  server = createServer((req, res) => {
+    hits[req.url] = (hits[req.url] || 0) + 1;
+    // Never answer, so every attempt times out
+    if (req.url.startsWith("/v1/hang")) return;
+    if (req.url.startsWith("/v1/stream")) {
+      // Send the headers and one chunk, then finish on the next request
+      res.writeHead(200, { "content-type": "application/octet-stream" });
+      res.write("first ");
+      streams.push(res);
+      return;
+    }
+    if (req.url.startsWith("/v1/json")) {
+      res.writeHead(200, { "content-type": "application/json" });
+      res.end("{}");
+      return;
+    }
+    res.writeHead(503, { "content-type": "application/json" });
+    res.end(JSON.stringify({ error: { message: "busy" } }));
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+function request(path, options, apiKey = "k") {
+  return withClientConfig({ apiKey, baseUrl }, () =>
+    openaiRequest(path, { timeoutMs: 100, maxRetries: 2, ...options })
+  );
+}
+
+test("POST timeouts are not retried", async () => {
+  await assert.rejects(request("/hang-post", { method: "POST", json: {} }), {
+    code: "timeout",
+  });
+  assert.equal(hits["/v1/hang-post"], 1);
+});
+
+test("GET timeouts are retried", async () => {
+  await assert.rejects(request("/hang-get"), { code: "timeout" });
+  assert.equal(hits["/v1/hang-get"], 3);
+});
+
+test("server errors are retried for POST", async () => {
+  await assert.rejects(request("/busy", { method: "POST", json: {} }), {
+    status: 503,
+  });
+  assert.equal(hits["/v1/busy"], 3);
+});
+
+test("streamed responses hold their queue slot until the body is read", async () => {
+  process.env.OPENAI_MAX_CONCURRENCY = "1";
+  const response = await request(
+    "/stream",
+    { responseType: "response" },
+    "single-slot"
+  );
+  let second = false;
+  const next = request("/json", {}, "single-slot").then(() => {
+    second = true;
+  });
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(second, false);
+
+  streams.pop().end("second");
+  assert.equal(await response.text(), "first second");
+  await next;
+  assert.equal(second, true);
+  delete process.env.OPENAI_MAX_CONCURRENCY;
+});
+
+test("aborting stops a streamed body and frees its slot", async () => {
+  process.env.OPENAI_MAX_CONCURRENCY = "1";
+  const controller = new AbortController();
+  const response = await request(
+    "/stream-abort",
+    { responseType: "response", signal: controller.signal },
+    "abortable"
+  );
+  const text = response.text();
+  controller.abort();
+  await assert.rejects(text);
+  await request("/json", {}, "abortable");
+  delete process.env.OPENAI_MAX_CONCURRENCY;
+});
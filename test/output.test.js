@@ -0,0 +1,92 @@
+import assert from "node:assert/strict";
+import { createServer } from "http";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { after, before, beforeEach, test } from "node:test";
+import { resolveOutputPath } from "../lib/output.js";
+import { apiTool as createSpeech } from "../tools/openai-audio/create-speech.js";
+
+let directory;
+let server;
+let requests = 0;
+
+before(async () => {
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), "output-test-"));
+  server = createServer((req, res) => {
+    requests += 1;
+    res.writeHead(200, { "content-type": "audio/mpeg" });
+    res.end(Buffer.from("ID3 fake audio"));
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  process.env.OPENAI_API_KEY = "test";
+  process.env.OPENAI_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+beforeEach(() => {
+  process.env.OUTPUT_ROOT = path.join(directory, "root");
+  delete process.env.MEDIA_OUTPUT_DIR;
+});
+
+after(async () => {
+  server.close();
+  for (const name of [
+    "OPENAI_API_KEY",
+    "OPENAI_BASE_URL",
+    "OUTPUT_ROOT",
+    "MEDIA_OUTPUT_DIR",
+  ]) {
+    delete process.env[name];
+  }
+  await fs.rm(directory, { recursive: true, force: true });
+});
+
+test("output paths are confined to the output root", () => {
+  const root = process.env.OUTPUT_ROOT;
+  assert.equal(
+    resolveOutputPath("speech/a.mp3", "output_path"),
+    path.join(root, "speech", "a.mp3")
+  );
+  assert.equal(
+    resolveOutputPath(path.join(root, "a.mp3"), "output_path"),
+    path.join(root, "a.mp3")
+  );
+  for (const value of ["../a.mp3", "/etc/cron.d/job", `${root}-other/a`]) {
+    assert.throws(
+      () => resolveOutputPath(value, "output_path"),
+      { name: "ToolError", code: "path_not_allowed" },
+      value
+    );
+  }
+  assert.equal(
+    resolveOutputPath("/tmp/a.mp3", "output_path", { unconfinedPaths: true }),
+    path.resolve("/tmp/a.mp3")
+  );
+});
+
+test("CreateSpeech saves to the media output directory by default", async () => {
+  process.env.MEDIA_OUTPUT_DIR = path.join(directory, "media");
+  const result = await createSpeech.function({ input: "Hello" });
+  assert.ok(
+    result.structuredContent.path.startsWith(process.env.MEDIA_OUTPUT_DIR)
+  );
+
+  const saved = await createSpeech.function({
+    input: "Hello",
+    output_dir: "speech",
+  });
+  assert.ok(
+    saved.structuredContent.path.startsWith(
+      path.join(process.env.OUTPUT_ROOT, "speech")
+    )
+  );
+});
+
+test("paths outside the root are refused before calling OpenAI", async () => {
+  const before = requests;
+  await assert.rejects(
+    createSpeech.function({ input: "Hello", output_path: "../escape.mp3" }),
+    { name: "ToolError", code: "path_not_allowed" }
+  );
+  assert.equal(requests, before);
+});
@@ -0,0 +1,13 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { loadAvailablePrompts } from "../lib/prompts.js";
+import { apiTool as generateImage } from "../tools/openai-image-generation/generate-image.js";
+
+test("prompts for tools that are not served are left out", async () => {
+  const names = (await loadAvailablePrompts([generateImage])).map(
+    (template) => template.name
+  );
+  assert.ok(names.includes("icon-set"));
+  assert.ok(!names.includes("podcast-intro-narration"));
+  assert.ok(!names.includes("product-shot"));
+});
@@ -0,0 +1,83 @@
+import assert from "node:assert/strict";
+import { execFile } from "child_process";
+import { setTimeout as delay } from "timers/promises";
+import { promisify } from "util";
+import { test } from "node:test";
+import { RequestQueue } from "../lib/request-queue.js";
+
+const run = promisify(execFile);
+
+test("requests beyond the concurrency limit wait for a free slot", async () => {
+  const queue = new RequestQueue({ maxConcurrency: 2 });
+  const first = await queue.acquire();
+  await queue.acquire();
+
+  const positions = [];
+  let admitted = false;
+  const third = queue
+    .acquire({ onPosition: (position) => positions.push(position) })
+    .then((release) => {
+      admitted = true;
+      return release;
+    });
+  await delay(10);
+  assert.equal(admitted, false);
+  assert.deepEqual(positions, [1]);
+
+  first();
+  await third;
+  assert.deepEqual(positions, [1, 0]);
+});
+
+test("requests per minute are limited to a sliding window", async () => {
+  const queue = new RequestQueue({ requestsPerMinute: 2, windowMs: 200 });
+  const start = Date.now();
+  for (let i = 0; i < 3; i++) (await queue.acquire())();
+  assert.ok(Date.now() - start >= 190);
+});
+
+test("images per minute are weighed by request size", async () => {
+  const queue = new RequestQueue({ imagesPerMinute: 4, windowMs: 200 });
+  const start = Date.now();
+  (await queue.acquire({ images: 3 }))();
+  (await queue.acquire({ images: 1 }))();
+  assert.ok(Date.now() - start < 100);
+  (await queue.acquire({ images: 2 }))();
+  assert.ok(Date.now() - start >= 190);
+});
+
+test("a cancelled wait leaves the queue", async () => {
+  const queue = new RequestQueue({ maxConcurrency: 1 });
+  const release = await queue.acquire();
+  const controller = new AbortController();
+  const waiting = queue.acquire({ signal: controller.signal });
+  controller.abort(new Error("cancelled"));
+  await assert.rejects(waiting, { message: "cancelled" });
+  release();
+  assert.ok(queue.isIdle(Date.now() + 60 * 1000));
+});
+
+test("a queue is idle only once its rate window has passed", async () => {
+  const queue = new RequestQueue({ requestsPerMinute: 5, windowMs: 100 });
+  (await queue.acquire())();
+  assert.equal(queue.isIdle(), false);
+  assert.equal(queue.isIdle(Date.now() + 100), true);
+});
+
+test("waiting for the rate window keeps the process alive", async () => {
+  const script = `
+    import { RequestQueue } from ${JSON.stringify(
+      new URL("../lib/request-queue.js", import.meta.url).href
+    )};
+    const queue = new RequestQueue({ requestsPerMinute: 1, windowMs: 200 });
+    (await queue.acquire())();
+    (await queue.acquire())();
+    console.log("done");
+  `;
+  const { stdout } = await run(process.execPath, [
+    "--input-type=module",
+    "--eval",
+    script,
+  ]);
+  assert.equal(stdout.trim(), "done");
+});
@@ -0,0 +1,31 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { MediaRegistry } from "../lib/resources.js";
+
+test("inline media beyond the byte limit is forgotten oldest first", () => {
+  const media = new MediaRegistry({ maxBytes: 10 });
+  const saved = media.register({
+    path: "/tmp/a.png",
+    name: "a.png",
+    mimeType: "image/png",
+    size: 100,
+  });
+  const first = media.register({
+    data: Buffer.alloc(6, 1),
+    mimeType: "image/png",
+  });
+  const second = media.register({
+    data: Buffer.alloc(6, 2),
+    mimeType: "image/png",
+  });
+  assert.deepEqual(
+    media.list().map((resource) => resource.uri),
+    [saved.uri, second.uri]
+  );
+  assert.ok(!media.items.has(first.uri));
+  assert.equal(media.bytes, 6);
+
+  // Registering the same content again does not count it twice
+  media.register({ data: Buffer.alloc(6, 2), mimeType: "image/png" });
+  assert.equal(media.bytes, 6);
+});
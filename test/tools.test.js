@@ -0,0 +1,70 @@
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { after, before, test } from "node:test";
+import { loadTools } from "../lib/tools.js";
+
+const TOOL = (name) => `export const apiTool = {
+  function: async () => ({}),
+  definition: {
+    type: "function",
+    function: { name: "${name}", parameters: { type: "object" } },
+  },
+};
+`;
+
+let directory;
+let commonjs;
+
+before(async () => {
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), "tools-test-"));
+  const files = {
+    "package.json": '{ "type": "module" }\n',
+    "top.js": TOOL("PluginTop"),
+    "nested/deeper/inner.mjs": TOOL("PluginInner"),
+    "nested/_helper.js": "export const helper = 1;\n",
+    "_private/hidden.js": TOOL("PluginHidden"),
+    "node_modules/dep/index.js": TOOL("PluginDependency"),
+    "nested/notes.txt": "not a module\n",
+  };
+  for (const [file, text] of Object.entries(files)) {
+    const filePath = path.join(directory, file);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, text);
+  }
+  commonjs = await fs.mkdtemp(path.join(os.tmpdir(), "tools-test-"));
+  await fs.writeFile(path.join(commonjs, "package.json"), "{}\n");
+  await fs.writeFile(path.join(commonjs, "plain.js"), TOOL("PluginPlain"));
+  process.env.TOOL_PLUGIN_DIRS = directory;
+});
+
+after(async () => {
+  delete process.env.TOOL_PLUGIN_DIRS;
+  await fs.rm(directory, { recursive: true, force: true });
+  await fs.rm(commonjs, { recursive: true, force: true });
+});
+
+test("plugin directories are scanned recursively", async () => {
+  const { tools, broken } = await loadTools();
+  const plugins = tools
+    .filter((tool) => tool.plugin === directory)
+    .map((tool) => path.relative(directory, tool.path));
+  assert.deepEqual(plugins, [
+    path.join("nested", "deeper", "inner.mjs"),
+    "top.js",
+  ]);
+  assert.deepEqual(broken, []);
+});
+
+test("plugin .js files outside an ES module scope are reported", async () => {
+  process.env.TOOL_PLUGIN_DIRS = commonjs;
+  try {
+    const { tools, broken } = await loadTools();
+    assert.ok(!tools.some((tool) => tool.plugin === commonjs));
+    assert.equal(broken.length, 1);
+    assert.match(broken[0].error, /"type": "module"/);
+  } finally {
+    process.env.TOOL_PLUGIN_DIRS = directory;
+  }
+});
@@ -0,0 +1,119 @@
+import assert from "node:assert/strict";
+import { createServer } from "http";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { after, before, beforeEach, test } from "node:test";
+import { estimateAudioSeconds } from "../lib/audio.js";
+import { openaiRequest, withClientConfig } from "../lib/openai-client.js";
+import { estimateCost } from "../lib/pricing.js";
+import { meterToolCall, readLedger } from "../lib/usage.js";
+import { apiTool as generateImage } from "../tools/openai-image-generation/generate-image.js";
+import { apiTool as getUsageReport } from "../tools/openai-usage/get-usage-report.js";
+
+const args = { prompt: "x", model: "dall-e-3", size: "1024x1024" };
+let directory;
+let server;
+let baseUrl;
+
+before(async () => {
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), "usage-test-"));
+  server = createServer((req, res) => {
+    res.writeHead(200, { "content-type": "application/json" });
+    res.end("{}");
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+beforeEach(async (t) => {
+  process.env.USAGE_LEDGER_PATH = path.join(directory, `${t.name}.jsonl`);
+});
+
+after(async () => {
+  server.close();
+  delete process.env.USAGE_LEDGER_PATH;
+  delete process.env.USAGE_DAILY_BUDGET_USD;
+  await fs.rm(directory, { recursive: true, force: true });
+});
+
+test("parallel calls cannot all pass the budget check", async () => {
+  process.env.USAGE_DAILY_BUDGET_USD = "0.05";
+  const run = async () => {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    return { model: "dall-e-3", images: [{}] };
+  };
+  const outcomes = await Promise.allSettled([
+    meterToolCall(generateImage, args, {}, run),
+    meterToolCall(generateImage, args, {}, run),
+  ]);
+  assert.deepEqual(
+    outcomes.map(({ status }) => status),
+    ["fulfilled", "rejected"]
+  );
+  assert.equal(outcomes[1].reason.code, "budget_exceeded");
+  assert.equal((await readLedger()).length, 1);
+
+  // Once recorded, the spend keeps counting against the budget
+  await assert.rejects(meterToolCall(generateImage, args, {}, run), {
+    code: "budget_exceeded",
+  });
+  delete process.env.USAGE_DAILY_BUDGET_USD;
+});
+
+test("calls that fail after OpenAI accepted them are recorded", async () => {
+  await assert.rejects(
+    meterToolCall(generateImage, args, {}, async () => {
+      await withClientConfig({ apiKey: "k", baseUrl }, () =>
+        openaiRequest("/images/generations", { method: "POST", json: {} })
+      );
+      throw new Error("could not save the image");
+    })
+  );
+  const [entry] = await readLedger();
+  assert.equal(entry.status, "failed");
+  assert.equal(entry.cost_usd, 0.04);
+});
+
+test("usage reports only cover the caller's calls", async () => {
+  const run = async () => ({ model: "dall-e-3", images: [{}] });
+  for (const clientId of ["token:0", "token:1", undefined]) {
+    await meterToolCall(generateImage, args, { clientId }, run);
+  }
+  const mine = await getUsageReport.function({}, { clientId: "token:0" });
+  assert.equal(mine.calls, 1);
+  const local = await getUsageReport.function({});
+  assert.equal(local.calls, 1);
+  assert.equal((await readLedger()).length, 3);
+});
+
+test("calls rejected before reaching OpenAI are not recorded", async () => {
+  await assert.rejects(
+    meterToolCall(generateImage, args, {}, async () => {
+      throw new Error("invalid input");
+    })
+  );
+  assert.deepEqual(await readLedger(), []);
+});
+
+test("transcriptions are priced from their duration", () => {
+  const { cost_usd } = estimateCost(
+    "TranscribeAudio",
+    { model: "whisper-1" },
+    { text: "hi", duration: 120 }
+  );
+  assert.equal(cost_usd, 0.012);
+});
+
+test("WAV durations are read from the header", () => {
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0, "ascii");
+  header.write("WAVE", 8, "ascii");
+  header.write("fmt ", 12, "ascii");
+  header.writeUInt32LE(16, 16);
+  header.writeUInt32LE(16000, 28);
+  header.write("data", 36, "ascii");
+  header.writeUInt32LE(32000, 40);
+  const wav = Buffer.concat([header, Buffer.alloc(32000)]);
+  assert.equal(estimateAudioSeconds(wav), 2);
+});
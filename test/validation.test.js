@@ -0,0 +1,63 @@
+import assert from "node:assert/strict";
+import { ErrorCode } from "@modelcontextprotocol/sdk/types.js";
+import { afterEach, test } from "node:test";
+import { validateSchema, validateToolArguments } from "../lib/validation.js";
+import { apiTool as generateImage } from "../tools/openai-image-generation/generate-image.js";
+
+// Expects an InvalidParams McpError whose data names the offending field
+const rejects = (args, field) =>
+  assert.throws(
+    () => validateToolArguments(generateImage, { prompt: "a fox", ...args }),
+    (error) => {
+      assert.equal(error.code, ErrorCode.InvalidParams);
+      assert.equal(error.data.field, field);
+      return true;
+    }
+  );
+
+afterEach(() => {
+  delete process.env.MODEL_VALIDATION;
+});
+
+test("options outside a model's limits are rejected", () => {
+  rejects({ model: "dall-e-3", n: 10 }, "n");
+  rejects({ model: "dall-e-2", size: "1792x1024" }, "size");
+  rejects({ model: "gpt-image-1", quality: "hd" }, "quality");
+});
+
+test("unsupported options are dropped with a warning, or rejected in strict mode", () => {
+  const { args, warnings } = validateToolArguments(generateImage, {
+    prompt: "a fox",
+    model: "gpt-image-1",
+    style: "vivid",
+  });
+  assert.equal(args.style, undefined);
+  assert.match(warnings[0], /"style"/);
+
+  process.env.MODEL_VALIDATION = "strict";
+  rejects({ model: "gpt-image-1", style: "vivid" }, "style");
+});
+
+test("anyOf, oneOf and additionalProperties are enforced", () => {
+  const stringOrList = {
+    anyOf: [{ type: "string" }, { type: "array", items: { type: "string" } }],
+  };
+  assert.deepEqual(validateSchema(stringOrList, "a"), []);
+  assert.deepEqual(validateSchema(stringOrList, ["a"]), []);
+  assert.deepEqual(validateSchema(stringOrList, 1, "image"), [
+    { field: "image", message: "must be a string or an array of strings" },
+  ]);
+
+  const exactlyOne = { oneOf: [{ type: "number" }, { type: "integer" }] };
+  assert.deepEqual(validateSchema(exactlyOne, 1.5), []);
+  assert.equal(validateSchema(exactlyOne, 1).length, 1);
+
+  const closed = {
+    type: "object",
+    properties: { size: { type: "string" } },
+    additionalProperties: false,
+  };
+  assert.deepEqual(validateSchema(closed, { size: "auto", extra: 1 }), [
+    { field: "extra", message: "is not allowed" },
+  ]);
+});
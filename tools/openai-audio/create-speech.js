@@ -0,0 +1,157 @@
+import { openaiRequest } from '../../lib/openai-client.js';
+import { getOutputDir, resolveOutputPath, saveMediaFile, writeOutputFile } from '../../lib/output.js';
+import { audioContent, jsonContent, toolResult } from '../../lib/results.js';
+
+const MIME_TYPES = {
+  mp3: 'audio/mpeg',
+  opus: 'audio/ogg',
+  aac: 'audio/aac',
+  flac: 'audio/flac',
+  wav: 'audio/wav',
+  pcm: 'audio/pcm'
+};
+
+/**
+ * Function to generate spoken audio from text using OpenAI's speech API.
+ *
+ * @param {Object} args - Arguments for the speech generation.
+ * @param {string} args.input - The text to generate audio for (max 4096 chars).
+ * @param {string} [args.model="gpt-4o-mini-tts"] - The TTS model to use.
+ * @param {string} [args.voice="alloy"] - The voice to use.
+ * @param {string} [args.instructions] - Instructions controlling the voice (not supported by tts-1 and tts-1-hd).
+ * @param {number} [args.speed=1] - Playback speed (0.25-4.0).
+ * @param {string} [args.response_format="mp3"] - The audio format.
+ * @param {string} [args.output_path] - Where to write the audio file.
+ * @param {string} [args.output_dir] - Directory to save the audio and its metadata sidecar to.
+ * @param {Array<string>} [args.tags] - Tags to file the result under in the generation history.
+ * @param {Object} [context] - The tool context, used to resolve output_path and output_dir.
+ * @returns {Promise<Object>} - The generated audio and where it was saved.
+ */
+const executeFunction = async ({
+  input,
+  model = 'gpt-4o-mini-tts',
+  voice = 'alloy',
+  instructions,
+  speed = 1,
+  response_format = 'mp3',
+  output_path,
+  output_dir
+}, context = {}) => {
+  const filePath = output_path && resolveOutputPath(output_path, 'output_path', context);
+  const directory = getOutputDir(output_dir && resolveOutputPath(output_dir, 'output_dir', context));
+
+  // Prepare the request body
+  const body = {
+    input,
+    model,
+    voice,
+    speed,
+    response_format
+  };
+
+  // Add instructions if provided
+  if (instructions) {
+    body.instructions = instructions;
+  }
+
+  // Perform the request through the shared OpenAI client
+  const audio = await openaiRequest('/audio/speech', {
+    method: 'POST',
+    json: body,
+    responseType: 'buffer'
+  });
+
+  // Save the audio before handing it back to the client
+  const mimeType = MIME_TYPES[response_format];
+  const saved = filePath
+    ? { path: await writeOutputFile(filePath, audio) }
+    : await saveMediaFile({
+        directory,
+        prefix: `create-speech-${Math.floor(Date.now() / 1000)}`,
+        data: audio,
+        extension: response_format,
+        mimeType,
+        metadata: { input, model, voice, instructions, speed, created_at: new Date().toISOString() }
+      });
+
+  const metadata = {
+    ...saved,
+    model,
+    voice,
+    response_format,
+    mime_type: mimeType,
+    bytes: audio.length
+  };
+  return toolResult([audioContent(audio, mimeType), jsonContent(metadata)], metadata);
+};
+
+/**
+ * Tool configuration for generating speech using OpenAI's speech API.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'CreateSpeech',
+      description: 'Generate spoken audio from text using OpenAI\'s text-to-speech API.',
+      parameters: {
+        type: 'object',
+        properties: {
+          input: {
+            type: 'string',
+            description: 'The text to generate audio for (max 4096 chars).'
+          },
+          model: {
+            type: 'string',
+            description: 'The TTS model to use.',
+            enum: ['gpt-4o-mini-tts', 'tts-1', 'tts-1-hd'],
+            default: 'gpt-4o-mini-tts'
+          },
+          voice: {
+            type: 'string',
+            description: 'The voice to use when generating the audio.',
+            enum: ['alloy', 'ash', 'ballad', 'coral', 'echo', 'fable', 'onyx', 'nova', 'sage', 'shimmer', 'verse'],
+            default: 'alloy'
+          },
+          instructions: {
+            type: 'string',
+            description: 'Instructions controlling the voice, such as tone or accent (not supported by tts-1 and tts-1-hd).'
+          },
+          speed: {
+            type: 'number',
+            description: 'The speed of the generated audio (0.25-4.0).',
+            minimum: 0.25,
+            maximum: 4,
+            default: 1
+          },
+          response_format: {
+            type: 'string',
+            description: 'The format of the generated audio.',
+            enum: ['mp3', 'opus', 'aac', 'flac', 'wav', 'pcm'],
+            default: 'mp3'
+          },
+          output_path: {
+            type: 'string',
+            description: 'Local path to write the audio file to. It must be inside the server\'s output root; relative paths are taken from there.'
+          },
+          output_dir: {
+            type: 'string',
+            description: 'Directory to save the audio and a JSON metadata sidecar to (defaults to the media output directory). It must be inside the server\'s output root; relative paths are taken from there.'
+          },
+          tags: {
+            type: 'array',
+            description: 'Tags to file the result under in the local generation history, for finding it later with SearchGenerations.',
+            items: {
+              type: 'string'
+            }
+          }
+        },
+        required: ['input']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -0,0 +1,209 @@
+import { estimateAudioSeconds } from '../../lib/audio.js';
+import { openaiRequest } from '../../lib/openai-client.js';
+import { ToolError } from '../../lib/errors.js';
+import { readInputFile, resolveInputPath } from '../../lib/inputs.js';
+import { resolveOutputPath, writeOutputFile } from '../../lib/output.js';
+
+const SUBTITLE_FORMATS = ['srt', 'vtt'];
+
+/**
+ * Parses SRT or WebVTT output into a list of cues.
+ *
+ * @param {string} content - The subtitle file contents.
+ * @returns {Array<Object>} - Cues with start, end and text.
+ */
+const parseSubtitles = (content) =>
+  content
+    .replace(/\r/g, '')
+    .split(/\n{2,}/)
+    .map((block) => {
+      const lines = block.trim().split('\n');
+      const timingIndex = lines.findIndex((line) => line.includes('-->'));
+      if (timingIndex === -1) return null;
+      const [start, end] = lines[timingIndex]
+        .split('-->')
+        .map((time) => time.trim().split(/\s+/)[0]);
+      return { start, end, text: lines.slice(timingIndex + 1).join('\n') };
+    })
+    .filter(Boolean);
+
+/**
+ * Converts an SRT or WebVTT timestamp such as "00:01:02,500" to seconds.
+ *
+ * @param {string} time - The timestamp.
+ * @returns {number} - The time in seconds.
+ */
+const toSeconds = (time) =>
+  time
+    .replace(',', '.')
+    .split(':')
+    .reduce((seconds, part) => seconds * 60 + Number(part), 0);
+
+/**
+ * Function to transcribe audio using OpenAI's transcription API.
+ *
+ * @param {Object} args - Arguments for the transcription.
+ * @param {string} [args.file_path] - Local path of the audio file.
+ * @param {string} [args.file_id] - ID of an audio file stored in OpenAI's Files API.
+ * @param {string} [args.model="whisper-1"] - The transcription model to use.
+ * @param {string} [args.language] - The ISO-639-1 language of the audio.
+ * @param {string} [args.prompt] - Text to guide the model's style or continue a previous segment.
+ * @param {number} [args.temperature] - Sampling temperature (0-1).
+ * @param {Array<string>} [args.timestamp_granularities] - Timestamp granularities (verbose_json only).
+ * @param {string} [args.response_format="json"] - The format of the transcript.
+ * @param {string} [args.output_path] - Where to write the transcript file.
+ * @param {Array<string>} [args.tags] - Tags to file the result under in the generation history.
+ * @param {Object} [context] - The tool context, used to resolve file_path and output_path.
+ * @returns {Promise<Object>} - The transcription result, with the audio `duration` in seconds
+ *   (taken from the subtitles or estimated from the file) when the response has no usage.
+ */
+const executeFunction = async ({
+  file_path,
+  file_id,
+  model = 'whisper-1',
+  language,
+  prompt,
+  temperature,
+  timestamp_granularities,
+  response_format = 'json',
+  output_path
+}, context = {}) => {
+  if (timestamp_granularities?.length && response_format !== 'verbose_json') {
+    throw new ToolError('timestamp_granularities requires response_format "verbose_json".');
+  }
+  const inputPath = file_path && await resolveInputPath(file_path, 'file_path', context);
+  const filePath = output_path && resolveOutputPath(output_path, 'output_path', context);
+
+  // Load the audio from disk or from the Files API
+  const { data, filename } = await readInputFile({ file_path: inputPath, file_id });
+
+  // Prepare the form data
+  const formData = new FormData();
+  formData.append('file', new Blob([data]), filename);
+  formData.append('model', model);
+  formData.append('response_format', response_format);
+
+  // Add optional parameters if provided
+  if (language) {
+    formData.append('language', language);
+  }
+  if (prompt) {
+    formData.append('prompt', prompt);
+  }
+  if (temperature !== undefined) {
+    formData.append('temperature', temperature.toString());
+  }
+  for (const granularity of timestamp_granularities || []) {
+    formData.append('timestamp_granularities[]', granularity);
+  }
+
+  // Perform the request through the shared OpenAI client
+  const isJson = response_format === 'json' || response_format === 'verbose_json';
+  const transcript = await openaiRequest('/audio/transcriptions', {
+    method: 'POST',
+    body: formData,
+    responseType: isJson ? 'json' : 'text'
+  });
+
+  // Build a structured result for every format
+  let result;
+  if (isJson) {
+    result = transcript;
+  } else if (SUBTITLE_FORMATS.includes(response_format)) {
+    result = { format: response_format, content: transcript, cues: parseSubtitles(transcript) };
+  } else {
+    result = { text: transcript };
+  }
+
+  // Formats without usage or a duration still need one to be priced
+  if (!result.usage && result.duration === undefined) {
+    const lastCue = result.cues?.[result.cues.length - 1];
+    result.duration = lastCue ? toSeconds(lastCue.end) : Math.ceil(estimateAudioSeconds(data));
+  }
+
+  // Write the transcript to disk if requested
+  if (filePath) {
+    result.path = await writeOutputFile(
+      filePath,
+      isJson ? JSON.stringify(transcript, null, 2) : transcript
+    );
+  }
+
+  return result;
+};
+
+/**
+ * Tool configuration for transcribing audio using OpenAI's transcription API.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'TranscribeAudio',
+      description: 'Transcribe audio into text or subtitles (SRT/WebVTT) using OpenAI\'s transcription API.',
+      parameters: {
+        type: 'object',
+        properties: {
+          file_path: {
+            type: 'string',
+            description: 'Local path of the audio file (mp3, mp4, mpeg, mpga, m4a, wav or webm, <25MB), inside the server\'s input root; relative paths are taken from there. Provide this or file_id.'
+          },
+          file_id: {
+            type: 'string',
+            description: 'ID of an audio file stored in OpenAI\'s Files API. Provide this or file_path.'
+          },
+          model: {
+            type: 'string',
+            description: 'The transcription model to use (gpt-4o models only support json and text output).',
+            enum: ['whisper-1', 'gpt-4o-transcribe', 'gpt-4o-mini-transcribe'],
+            default: 'whisper-1'
+          },
+          language: {
+            type: 'string',
+            description: 'The language of the audio in ISO-639-1 format (e.g. "en").'
+          },
+          prompt: {
+            type: 'string',
+            description: 'Text to guide the model\'s style or continue a previous audio segment.'
+          },
+          temperature: {
+            type: 'number',
+            description: 'Sampling temperature (0-1).',
+            minimum: 0,
+            maximum: 1
+          },
+          timestamp_granularities: {
+            type: 'array',
+            description: 'Timestamp granularities to include (requires verbose_json).',
+            items: {
+              type: 'string',
+              enum: ['word', 'segment']
+            }
+          },
+          response_format: {
+            type: 'string',
+            description: 'The format of the transcript.',
+            enum: ['json', 'text', 'srt', 'vtt', 'verbose_json'],
+            default: 'json'
+          },
+          output_path: {
+            type: 'string',
+            description: 'Local path to write the transcript to, e.g. captions.srt or captions.vtt. It must be inside the server\'s output root; relative paths are taken from there.'
+          },
+          tags: {
+            type: 'array',
+            description: 'Tags to file the result under in the local generation history, for finding it later with SearchGenerations.',
+            items: {
+              type: 'string'
+            }
+          }
+        },
+        required: []
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -0,0 +1,140 @@
+import { ToolError } from '../../lib/errors.js';
+import { checkFileFilters, deleteFiles, describeFile, listAllFiles, matchesFileFilters } from '../../lib/files.js';
+
+const SELECTORS = ['purpose', 'older_than_days', 'created_before', 'filename', 'min_bytes', 'max_bytes'];
+
+/**
+ * Function to bulk-delete files from OpenAI's Files API.
+ *
+ * @param {Object} args - Arguments for the cleanup.
+ * @param {string} [args.purpose] - Only select files with this purpose.
+ * @param {number} [args.older_than_days] - Only select files created more than this many days ago.
+ * @param {string} [args.created_before] - Only select files created before this date or timestamp.
+ * @param {string} [args.filename] - Only select files whose name matches this glob.
+ * @param {number} [args.min_bytes] - Only select files of at least this size.
+ * @param {number} [args.max_bytes] - Only select files of at most this size.
+ * @param {boolean} [args.dry_run=true] - Preview the selection without deleting anything.
+ * @param {number} [args.max_files=1000] - Refuse to delete when more files than this match.
+ * @param {number} [args.concurrency=4] - Maximum deletions in flight at once.
+ * @param {Object} [context] - The tool context, used to report deletion progress.
+ * @returns {Promise<Object>} - The selected files and, unless dry-running, each file's outcome.
+ */
+const executeFunction = async (args, context = {}) => {
+  const { dry_run = true, max_files = 1000, concurrency = 4 } = args;
+  if (!SELECTORS.some((selector) => args[selector] !== undefined)) {
+    throw new ToolError(`Select files by at least one of: ${SELECTORS.join(', ')}.`);
+  }
+
+  checkFileFilters(args);
+
+  // The Files API only filters by purpose, so the rest is matched here
+  const files = (await listAllFiles({ purpose: args.purpose, signal: context.signal }))
+    .filter((file) => matchesFileFilters(file, args));
+  const total_bytes = files.reduce((sum, file) => sum + (file.bytes || 0), 0);
+
+  if (dry_run) {
+    return {
+      dry_run,
+      matched: files.length,
+      total_bytes,
+      files: files.map((file) => ({ ...describeFile(file), outcome: 'would_delete' }))
+    };
+  }
+  if (files.length > max_files) {
+    throw new ToolError(
+      `${files.length} files match, more than max_files (${max_files}). Narrow the selection or raise max_files.`,
+      { code: 'too_many_files' }
+    );
+  }
+
+  const outcomes = await deleteFiles(files, {
+    concurrency,
+    signal: context.signal,
+    onDeleted: (done) =>
+      context.reportProgress?.({
+        progress: done,
+        total: files.length,
+        message: `Processed ${done} of ${files.length} files`
+      })
+  });
+  const deleted = outcomes.filter((file) => file.outcome === 'deleted');
+  return {
+    dry_run,
+    matched: files.length,
+    total_bytes,
+    deleted: deleted.length,
+    deleted_bytes: deleted.reduce((sum, file) => sum + (file.bytes || 0), 0),
+    failed: outcomes.length - deleted.length,
+    files: outcomes
+  };
+};
+
+/**
+ * Tool configuration for bulk-deleting files from OpenAI's Files API.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'CleanupFiles',
+      description: 'Delete stale files from OpenAI\'s Files API in bulk, selected by purpose, age, filename glob and size. Runs as a dry-run preview by default; set dry_run to false to delete the matches and get a per-file outcome.',
+      parameters: {
+        type: 'object',
+        properties: {
+          purpose: {
+            type: 'string',
+            description: 'Only select files with this purpose.',
+            enum: ['assistants', 'assistants_output', 'batch', 'batch_output', 'fine-tune', 'fine-tune-results', 'vision', 'user_data', 'evals']
+          },
+          older_than_days: {
+            type: 'number',
+            description: 'Only select files created more than this many days ago.',
+            minimum: 0
+          },
+          created_before: {
+            type: 'string',
+            description: 'Only select files created before this UTC date (YYYY-MM-DD) or ISO 8601 timestamp.',
+            pattern: '^\\d{4}-\\d{2}-\\d{2}'
+          },
+          filename: {
+            type: 'string',
+            description: 'Only select files whose whole name matches this case-insensitive glob, e.g. "generate-image-*.png". Supports *, ? and [...].'
+          },
+          min_bytes: {
+            type: 'integer',
+            description: 'Only select files of at least this many bytes.',
+            minimum: 0
+          },
+          max_bytes: {
+            type: 'integer',
+            description: 'Only select files of at most this many bytes.',
+            minimum: 0
+          },
+          dry_run: {
+            type: 'boolean',
+            description: 'Preview the files that would be deleted without deleting them.',
+            default: true
+          },
+          max_files: {
+            type: 'integer',
+            description: 'Refuse to delete anything when more files than this match, as a guard against an overly broad selection.',
+            minimum: 1,
+            default: 1000
+          },
+          concurrency: {
+            type: 'integer',
+            description: 'Maximum number of deletions in flight at once.',
+            minimum: 1,
+            maximum: 20,
+            default: 4
+          }
+        },
+        required: []
+      }
+    }
+  }
+};
+
+export { apiTool };
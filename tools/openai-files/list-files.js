@@ -1,66 +1,86 @@
+import { checkFileFilters, describeFile, listAllFiles, matchesFileFilters } from '../../lib/files.js';
+import { openaiRequest } from '../../lib/openai-client.js';
+
+const SORT_KEYS = {
+  created_at: (file) => file.created_at,
+  bytes: (file) => file.bytes ?? 0,
+  filename: (file) => (file.filename || '').toLowerCase()
+};
+
 /**
  * Function to list files from OpenAI's Files API.
  *
  * @param {Object} args - Arguments for listing files.
  * @param {string} [args.purpose] - Filter files by purpose.
- * @param {number} [args.limit] - Limit the number of files returned (max 10000).
+ * @param {number} [args.limit] - Page size, or with `all` the number of files to return (max 10000).
  * @param {string} [args.after] - Return files after this file ID for pagination.
  * @param {string} [args.before] - Return files before this file ID for pagination.
- * @returns {Promise<Object>} - The result containing the list of files.
+ * @param {boolean} [args.all=false] - Follow the pagination cursors until every file is listed.
+ * @param {string} [args.filename] - Only include files whose name matches this glob.
+ * @param {string} [args.filename_contains] - Only include files whose name contains this text.
+ * @param {string} [args.created_after] - Only include files created at or after this date or timestamp.
+ * @param {string} [args.created_before] - Only include files created before this date or timestamp.
+ * @param {number} [args.min_bytes] - Only include files of at least this size.
+ * @param {number} [args.max_bytes] - Only include files of at most this size.
+ * @param {string} [args.status] - Only include files with this processing status.
+ * @param {string} [args.sort_by="created_at"] - Sort by creation time, size or name.
+ * @param {string} [args.order="desc"] - Sort order.
+ * @returns {Promise<Object>} - Totals for the matching files and the files themselves.
  */
-const executeFunction = async ({
-  purpose,
-  limit = 20,
-  after,
-  before
-}) => {
-  const baseUrl = 'https://api.openai.com';
-  const token = process.env.API_KEY;
-
-  if (!token) {
-    return { error: 'API_KEY environment variable is not set.' };
-  }
-
-  try {
-    // Construct the URL with query parameters
-    const url = new URL(`${baseUrl}/v1/files`);
-    
-    if (purpose) url.searchParams.append('purpose', purpose);
-    if (limit) url.searchParams.append('limit', limit.toString());
-    if (after) url.searchParams.append('after', after);
-    if (before) url.searchParams.append('before', before);
+const executeFunction = async (args, context = {}) => {
+  const {
+    purpose,
+    limit = 20,
+    after,
+    before,
+    all = false,
+    sort_by = 'created_at',
+    order = 'desc'
+  } = args;
 
-    // Set up headers for the request
-    const headers = {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/json'
-    };
+  checkFileFilters(args);
 
-    // Perform the fetch request
-    const response = await fetch(url.toString(), {
-      method: 'GET',
-      headers
+  // Walk every page, or fetch just the one the caller asked for
+  let files;
+  let page;
+  if (all) {
+    files = await listAllFiles({ purpose, signal: context.signal });
+  } else {
+    page = await openaiRequest('/files', {
+      query: { purpose, limit, after, before, order },
+      signal: context.signal
     });
+    files = page.data || [];
+  }
 
-    // Check if the response was successful
-    if (!response.ok) {
-      let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
-      try {
-        const errorData = await response.json();
-        errorMessage = JSON.stringify(errorData);
-      } catch (e) {
-        // Response wasn't JSON, use the HTTP status message
-      }
-      throw new Error(errorMessage);
-    }
+  // Filter and sort locally, since the Files API only filters by purpose
+  const key = SORT_KEYS[sort_by];
+  const direction = order === 'asc' ? 1 : -1;
+  const matches = files
+    .filter((file) => matchesFileFilters(file, args))
+    .sort((a, b) => (key(a) < key(b) ? -direction : key(a) > key(b) ? direction : 0));
+
+  const byPurpose = {};
+  for (const file of matches) {
+    const totals = (byPurpose[file.purpose] ??= { files: 0, bytes: 0 });
+    totals.files += 1;
+    totals.bytes += file.bytes || 0;
+  }
 
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error listing files:', error);
-    return { error: error.message || 'An error occurred while listing files.' };
+  const listed = all ? matches.slice(0, limit) : matches;
+  const result = {
+    total_files: matches.length,
+    total_bytes: matches.reduce((sum, file) => sum + (file.bytes || 0), 0),
+    by_purpose: byPurpose,
+    returned: listed.length,
+    files: listed.map(describeFile)
+  };
+  if (page) {
+    // Cursor for the next raw page, whatever the local filters kept
+    result.has_more = Boolean(page.has_more);
+    if (page.has_more) result.next_after = files[files.length - 1]?.id;
   }
+  return result;
 };
 
 /**
@@ -73,18 +93,18 @@ const apiTool = {
     type: 'function',
     function: {
       name: 'ListFiles',
-      description: 'List files from OpenAI\'s Files API.',
+      description: 'List files from OpenAI\'s Files API as a compact summary with total counts and bytes per purpose. Set all to walk every page, then filter by name, date, size and status and sort by size, date or name, e.g. to find the largest files in one call.',
       parameters: {
         type: 'object',
         properties: {
           purpose: {
             type: 'string',
             description: 'Filter files by purpose.',
-            enum: ['assistants', 'fine-tune', 'batch']
+            enum: ['assistants', 'assistants_output', 'batch', 'batch_output', 'fine-tune', 'fine-tune-results', 'vision', 'user_data', 'evals']
           },
           limit: {
             type: 'integer',
-            description: 'Limit the number of files returned (max 10000).',
+            description: 'Number of files per page (max 10000). With all, the number of files to return after filtering and sorting.',
             minimum: 1,
             maximum: 10000,
             default: 20
@@ -96,6 +116,56 @@ const apiTool = {
           before: {
             type: 'string',
             description: 'Return files before this file ID for pagination.'
+          },
+          all: {
+            type: 'boolean',
+            description: 'Follow the pagination cursors until every file is listed; totals then cover the whole account.',
+            default: false
+          },
+          filename: {
+            type: 'string',
+            description: 'Only include files whose whole name matches this case-insensitive glob, e.g. "*.png". Supports *, ? and [...].'
+          },
+          filename_contains: {
+            type: 'string',
+            description: 'Only include files whose name contains this case-insensitive text.'
+          },
+          created_after: {
+            type: 'string',
+            description: 'Only include files created at or after this UTC date (YYYY-MM-DD) or ISO 8601 timestamp.',
+            pattern: '^\\d{4}-\\d{2}-\\d{2}'
+          },
+          created_before: {
+            type: 'string',
+            description: 'Only include files created before this UTC date (YYYY-MM-DD) or ISO 8601 timestamp.',
+            pattern: '^\\d{4}-\\d{2}-\\d{2}'
+          },
+          min_bytes: {
+            type: 'integer',
+            description: 'Only include files of at least this many bytes.',
+            minimum: 0
+          },
+          max_bytes: {
+            type: 'integer',
+            description: 'Only include files of at most this many bytes.',
+            minimum: 0
+          },
+          status: {
+            type: 'string',
+            description: 'Only include files with this processing status.',
+            enum: ['uploaded', 'processed', 'error']
+          },
+          sort_by: {
+            type: 'string',
+            description: 'Sort the files by creation time, size or name.',
+            enum: ['created_at', 'bytes', 'filename'],
+            default: 'created_at'
+          },
+          order: {
+            type: 'string',
+            description: 'Sort order.',
+            enum: ['asc', 'desc'],
+            default: 'desc'
           }
         },
         required: []
@@ -104,4 +174,4 @@ const apiTool = {
   }
 };
 
-export { apiTool };
\ No newline at end of file
+export { apiTool };
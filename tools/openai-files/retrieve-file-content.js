@@ -1,54 +1,138 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { ToolError } from '../../lib/errors.js';
+import { sniffMimeType } from '../../lib/inputs.js';
+import { openaiRequest } from '../../lib/openai-client.js';
+import { resolveOutputPath, streamOutputFile } from '../../lib/output.js';
+import { guessMimeType } from '../../lib/resources.js';
+import { audioContent, imageContent, jsonContent, toolResult } from '../../lib/results.js';
+
+// Files larger than this are only returned inline when max_bytes allows it
+const MAX_INLINE_BYTES = {
+  text: 256 * 1024,
+  media: 10 * 1024 * 1024
+};
+
+const TEXT_MIME_TYPES = ['application/json', 'application/jsonl', 'application/x-subrip', 'application/xml'];
+
 /**
  * Function to retrieve file content from OpenAI's Files API.
  *
  * @param {Object} args - Arguments for retrieving file content.
  * @param {string} args.file_id - The ID of the file to retrieve content from.
- * @returns {Promise<Object>} - The result containing the file content.
+ * @param {string} [args.save_to] - File or directory path to stream the content to instead of returning it.
+ * @param {number} [args.max_bytes] - Largest file to return inline when save_to is not given.
+ * @param {Object} [context] - The tool context, used to report download progress and expose saved media as resources.
+ * @returns {Promise<Object>} - The file content as an MCP content block, or where it was saved.
  */
 const executeFunction = async ({
-  file_id
-}) => {
-  const baseUrl = 'https://api.openai.com';
-  const token = process.env.API_KEY;
+  file_id,
+  save_to,
+  max_bytes
+}, context = {}) => {
+  const saveTo = save_to && resolveOutputPath(save_to, 'save_to', context);
+  const filePath = `/files/${encodeURIComponent(file_id)}`;
+  const file = await openaiRequest(filePath);
+  const guessedType = guessMimeType(file.filename);
 
-  if (!token) {
-    return { error: 'API_KEY environment variable is not set.' };
-  }
-
-  try {
-    // Construct the URL for the request
-    const url = `${baseUrl}/v1/files/${file_id}/content`;
-
-    // Set up headers for the request
-    const headers = {
-      'Authorization': `Bearer ${token}`
-    };
-
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'GET',
-      headers
+  // Stream straight to disk so large and binary files stay intact
+  if (saveTo) {
+    const destination = await resolveDestination(saveTo, save_to, file.filename || file_id);
+    const response = await openaiRequest(`${filePath}/content`, {
+      responseType: 'response',
+      signal: context.signal
     });
+    const saved = await streamOutputFile(destination, response.body, (bytes) =>
+      context.reportProgress?.({
+        progress: bytes,
+        total: file.bytes,
+        message: `Downloaded ${bytes} of ${file.bytes ?? '?'} bytes`
+      })
+    );
 
-    // Check if the response was successful
-    if (!response.ok) {
-      let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
-      try {
-        const errorData = await response.json();
-        errorMessage = JSON.stringify(errorData);
-      } catch (e) {
-        // Response wasn't JSON, use the HTTP status message
-      }
-      throw new Error(errorMessage);
+    const mimeType = contentType(response) || guessedType;
+    const metadata = { file_id, filename: file.filename, path: saved.path, bytes: saved.bytes, mime_type: mimeType };
+
+    // Expose saved media as a session resource
+    if (/^(image|audio|video)\//.test(mimeType)) {
+      const resource = context.registerMedia?.({
+        path: saved.path,
+        mimeType,
+        name: path.basename(saved.path),
+        size: saved.bytes
+      });
+      if (resource) metadata.resource_uri = resource.uri;
     }
+    return metadata;
+  }
+
+  // Refuse files too large for the model context before downloading them
+  const limit = max_bytes ?? MAX_INLINE_BYTES[isTextType(guessedType) ? 'text' : 'media'];
+  checkInlineSize(file, file.bytes, limit);
+
+  const data = await openaiRequest(`${filePath}/content`, {
+    responseType: 'buffer',
+    signal: context.signal
+  });
+  const mimeType = detectMimeType(data, guessedType);
+  const metadata = { file_id, filename: file.filename, bytes: data.length, mime_type: mimeType };
+
+  if (mimeType.startsWith('image/')) {
+    return toolResult([imageContent(data, mimeType), jsonContent(metadata)], metadata);
+  }
+  if (mimeType.startsWith('audio/')) {
+    return toolResult([audioContent(data, mimeType), jsonContent(metadata)], metadata);
+  }
+  if (isTextType(mimeType)) {
+    checkInlineSize(file, data.length, max_bytes ?? MAX_INLINE_BYTES.text);
+    return toolResult([{ type: 'text', text: data.toString('utf8') }, jsonContent(metadata)], metadata);
+  }
 
-    // Get the content as text
-    const content = await response.text();
-    return { content };
+  // Anything else is embedded as a binary resource
+  const resource = { uri: `openai-file://${file_id}`, mimeType, blob: data.toString('base64') };
+  return toolResult([{ type: 'resource', resource }, jsonContent(metadata)], metadata);
+};
+
+const contentType = (response) => {
+  const type = response.headers.get('content-type')?.split(';')[0].trim();
+  return type && type !== 'application/octet-stream' ? type : undefined;
+};
+
+const isTextType = (mimeType) => mimeType.startsWith('text/') || TEXT_MIME_TYPES.includes(mimeType);
+
+/**
+ * Detects the content type from the file's bytes, falling back to its
+ * extension, and treats extensionless UTF-8 without NUL bytes as text.
+ */
+const detectMimeType = (data, guessedType) => {
+  const sniffed = sniffMimeType(data);
+  if (sniffed) return sniffed;
+  if (guessedType !== 'application/octet-stream') return guessedType;
+  try {
+    const text = new TextDecoder('utf-8', { fatal: true }).decode(data);
+    if (!text.includes('\0')) return 'text/plain';
   } catch (error) {
-    console.error('Error retrieving file content:', error);
-    return { error: error.message || 'An error occurred while retrieving the file content.' };
+    // Not valid UTF-8, so not text
   }
+  return guessedType;
+};
+
+const checkInlineSize = (file, bytes, limit) => {
+  if (bytes === undefined || bytes <= limit) return;
+  throw new ToolError(
+    `${file.filename || file.id} is ${bytes} bytes, over the ${limit}-byte limit for returning a file inline. Pass save_to to write it to disk instead, or raise max_bytes.`,
+    { code: 'file_too_large' }
+  );
+};
+
+/**
+ * Treats an existing directory, or a path that was given ending in a
+ * separator, as the directory to save the file into under its own name.
+ */
+const resolveDestination = async (saveTo, requested, filename) => {
+  if (/[\\/]$/.test(requested)) return path.join(saveTo, path.basename(filename));
+  const stat = await fs.stat(saveTo).catch(() => undefined);
+  return stat?.isDirectory() ? path.join(saveTo, path.basename(filename)) : saveTo;
 };
 
 /**
@@ -61,13 +145,23 @@ const apiTool = {
     type: 'function',
     function: {
       name: 'RetrieveFileContent',
-      description: 'Retrieve file content from OpenAI\'s Files API.',
+      description: 'Retrieve file content from OpenAI\'s Files API. Images and audio are returned as MCP image and audio blocks, text files as text and other files as an embedded resource; pass save_to to stream the file to disk instead, which works for files of any size.',
       parameters: {
         type: 'object',
         properties: {
           file_id: {
             type: 'string',
             description: 'The ID of the file to retrieve content from.'
+          },
+          save_to: {
+            type: 'string',
+            description: 'Local file path, or existing directory, to stream the content to. It must be inside the server\'s output root; relative paths are taken from there. The result then only describes the saved file.'
+          },
+          max_bytes: {
+            type: 'integer',
+            description: 'Largest file to return inline when save_to is not given (default 262144 for text, 10485760 for images, audio and other files). Larger files fail with a file_too_large error.',
+            minimum: 1,
+            maximum: 52428800
           }
         },
         required: ['file_id']
@@ -76,4 +170,4 @@ const apiTool = {
   }
 };
 
-export { apiTool };
\ No newline at end of file
+export { apiTool };
@@ -1,77 +1,46 @@
+import { resolveInputPath } from '../../lib/inputs.js';
+import { uploadFile } from '../../lib/uploads.js';
+
 /**
  * Function to upload a file to OpenAI's Files API.
  *
  * @param {Object} args - Arguments for the file upload.
  * @param {string} args.file_path - The path to the file to upload.
- * @param {string} args.purpose - The purpose of the uploaded file (e.g., "fine-tune", "assistants").
- * @returns {Promise<Object>} - The result of the file upload.
+ * @param {string} [args.purpose="assistants"] - The purpose of the uploaded file (e.g., "vision", "user_data", "assistants").
+ * @param {string} [args.mime_type] - The file's MIME type, guessed from its extension when omitted.
+ * @param {Object} [args.expires_after] - When the file expires: `{ anchor: "created_at", seconds }`.
+ * @param {boolean} [args.resume=true] - Continue an interrupted multipart upload of the same file.
+ * @param {Object} [context] - The tool context, used to report upload progress and resolve file_path.
+ * @returns {Promise<Object>} - The uploaded file.
  */
 const executeFunction = async ({
   file_path,
-  purpose = 'assistants'
-}) => {
-  const baseUrl = 'https://api.openai.com';
-  const token = process.env.API_KEY;
-
-  if (!token) {
-    return { error: 'API_KEY environment variable is not set.' };
-  }
-
-  try {
-    const fs = require('fs');
-    const path = require('path');
-    const FormData = require('form-data');
-
-    // Check if file exists
-    if (!fs.existsSync(file_path)) {
-      return { error: `File not found: ${file_path}` };
-    }
-
-    // Create form data
-    const form = new FormData();
-    const fileStream = fs.createReadStream(file_path);
-    const fileName = path.basename(file_path);
-    
-    form.append('file', fileStream, fileName);
-    form.append('purpose', purpose);
-
-    // Construct the URL for the request
-    const url = `${baseUrl}/v1/files`;
-
-    // Set up headers for the request
-    const headers = {
-      'Authorization': `Bearer ${token}`,
-      ...form.getHeaders()
-    };
-
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'POST',
-      headers,
-      body: form
-    });
+  purpose = 'assistants',
+  mime_type,
+  expires_after,
+  resume = true
+}, context = {}) => {
+  const filePath = await resolveInputPath(file_path, 'file_path', context);
 
-    // Check if the response was successful
-    if (!response.ok) {
-      let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
-      try {
-        const errorData = await response.json();
-        errorMessage = JSON.stringify(errorData);
-      } catch (e) {
-        // Response wasn't JSON, use the HTTP status message
-      }
-      throw new Error(errorMessage);
-    }
-
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error uploading file:', error);
-    return { error: error.message || 'An error occurred while uploading the file.' };
-  }
+  // Large files are sent in parts; report progress as each one lands
+  return await uploadFile({
+    filePath,
+    purpose,
+    mimeType: mime_type,
+    expiresAfter: expires_after,
+    resume,
+    signal: context.signal,
+    onProgress: (uploaded, total) =>
+      context.reportProgress?.({
+        progress: uploaded,
+        total,
+        message: `Uploaded ${formatMegabytes(uploaded)} of ${formatMegabytes(total)} MB`
+      })
+  });
 };
 
+const formatMegabytes = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+
 /**
  * Tool configuration for uploading files to OpenAI's Files API.
  * @type {Object}
@@ -82,19 +51,47 @@ const apiTool = {
     type: 'function',
     function: {
       name: 'UploadFile',
-      description: 'Upload a file to OpenAI\'s Files API.',
+      description: 'Upload a local file to OpenAI\'s Files API, e.g. a reference image or long audio. Files over 64 MB (up to 8 GB) are sent in parts through the Uploads API, and an interrupted upload resumes when the same file is uploaded again.',
       parameters: {
         type: 'object',
         properties: {
           file_path: {
             type: 'string',
-            description: 'The path to the file to upload.'
+            description: 'The path to the file to upload. It must be inside the server\'s input root; relative paths are taken from there.'
           },
           purpose: {
             type: 'string',
-            description: 'The purpose of the uploaded file.',
-            enum: ['assistants', 'fine-tune', 'batch'],
+            description: 'The purpose of the uploaded file: vision for images used as model inputs, user_data for general-purpose files.',
+            enum: ['assistants', 'batch', 'fine-tune', 'vision', 'user_data', 'evals'],
             default: 'assistants'
+          },
+          mime_type: {
+            type: 'string',
+            description: 'The file\'s MIME type, used for multipart uploads (guessed from the file extension when omitted).'
+          },
+          expires_after: {
+            type: 'object',
+            description: 'When the file expires and is deleted. Files with purpose batch expire after 30 days by default; others are kept until deleted.',
+            properties: {
+              anchor: {
+                type: 'string',
+                description: 'The time the expiry is counted from.',
+                enum: ['created_at']
+              },
+              seconds: {
+                type: 'integer',
+                description: 'Seconds after the anchor time that the file expires (1 hour to 30 days).',
+                minimum: 3600,
+                maximum: 2592000
+              }
+            },
+            required: ['anchor', 'seconds'],
+            additionalProperties: false
+          },
+          resume: {
+            type: 'boolean',
+            description: 'Continue an interrupted multipart upload of the same unchanged file instead of starting over.',
+            default: true
           }
         },
         required: ['file_path']
@@ -103,4 +100,4 @@ const apiTool = {
   }
 };
 
-export { apiTool };
\ No newline at end of file
+export { apiTool };
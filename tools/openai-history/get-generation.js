@@ -0,0 +1,48 @@
+import { ToolError } from '../../lib/errors.js';
+import { getGeneration } from '../../lib/history.js';
+
+/**
+ * Function to look up a single media generation in the local history.
+ *
+ * @param {Object} args - Arguments for the lookup.
+ * @param {string} args.id - The generation ID, as returned by ListGenerations or SearchGenerations.
+ * @param {Object} [context] - The tool context, whose client ID limits the lookup to the caller's generations.
+ * @returns {Promise<Object>} - The generation record.
+ */
+const executeFunction = async ({ id }, context = {}) => {
+  const generation = await getGeneration(id, { clientId: context.clientId ?? null });
+  if (!generation) {
+    throw new ToolError(`No generation with ID ${id} in the local history.`, {
+      category: 'not_found',
+      code: 'generation_not_found'
+    });
+  }
+  return generation;
+};
+
+/**
+ * Tool configuration for retrieving a generation from the local history.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'GetGeneration',
+      description: 'Get one generation from the local history by ID, including its full inputs and the paths of the files it produced.',
+      parameters: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            description: 'The generation ID, e.g. gen_3f9c2a...'
+          }
+        },
+        required: ['id']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -0,0 +1,66 @@
+import { searchHistory } from '../../lib/history.js';
+
+/**
+ * Function to list recent media generations from the local history.
+ *
+ * @param {Object} args - Arguments for listing generations.
+ * @param {string} [args.tool] - Only list generations made by this tool.
+ * @param {number} [args.limit=20] - Maximum number of generations to return.
+ * @param {number} [args.offset=0] - Number of generations to skip, for paging.
+ * @param {Object} [context] - The tool context, whose client ID limits the list to the caller's generations.
+ * @returns {Promise<Object>} - The generations, newest first, and the total available.
+ */
+const executeFunction = async ({ tool, limit = 20, offset = 0 }, context = {}) => {
+  const { total, generations } = await searchHistory({
+    tool,
+    limit,
+    offset,
+    clientId: context.clientId ?? null
+  });
+  return {
+    total,
+    offset,
+    has_more: offset + generations.length < total,
+    generations
+  };
+};
+
+/**
+ * Tool configuration for listing the local generation history.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'ListGenerations',
+      description: 'List the images, audio, transcripts and videos produced through this server, newest first, with their prompts, inputs, output paths and timestamps.',
+      parameters: {
+        type: 'object',
+        properties: {
+          tool: {
+            type: 'string',
+            description: 'Only list generations made by this tool, e.g. GenerateImage.'
+          },
+          limit: {
+            type: 'integer',
+            description: 'Maximum number of generations to return.',
+            minimum: 1,
+            maximum: 100,
+            default: 20
+          },
+          offset: {
+            type: 'integer',
+            description: 'Number of generations to skip, for paging.',
+            minimum: 0,
+            default: 0
+          }
+        },
+        required: []
+      }
+    }
+  }
+};
+
+export { apiTool };
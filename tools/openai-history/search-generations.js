@@ -0,0 +1,107 @@
+import { searchHistory } from '../../lib/history.js';
+
+/**
+ * Function to search the local history of media generations.
+ *
+ * @param {Object} args - Arguments for the search.
+ * @param {string} [args.query] - Text to find in prompts, revised prompts and tags.
+ * @param {string} [args.model] - Only include generations made with this model.
+ * @param {string} [args.tool] - Only include generations made by this tool.
+ * @param {string} [args.tag] - Only include generations carrying this tag.
+ * @param {string} [args.since] - Earliest creation date or timestamp to include.
+ * @param {string} [args.until] - Latest creation date or timestamp to include.
+ * @param {number} [args.limit=20] - Maximum number of generations to return.
+ * @param {number} [args.offset=0] - Number of matches to skip, for paging.
+ * @param {Object} [context] - The tool context, whose client ID limits the search to the caller's generations.
+ * @returns {Promise<Object>} - The matching generations, newest first, and the total number of matches.
+ */
+const executeFunction = async ({
+  query,
+  model,
+  tool,
+  tag,
+  since,
+  until,
+  limit = 20,
+  offset = 0
+}, context = {}) => {
+  const { total, generations } = await searchHistory({
+    query,
+    model,
+    tool,
+    tag,
+    since,
+    until,
+    limit,
+    offset,
+    clientId: context.clientId ?? null
+  });
+  return {
+    total,
+    offset,
+    has_more: offset + generations.length < total,
+    generations
+  };
+};
+
+/**
+ * Tool configuration for searching the local generation history.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'SearchGenerations',
+      description: 'Search the local history of images, audio, transcripts and videos produced through this server by prompt text, model, tool, tag and date range, e.g. to find an earlier result instead of generating it again.',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: {
+            type: 'string',
+            description: 'Case-insensitive text to find in prompts, revised prompts and tags.'
+          },
+          model: {
+            type: 'string',
+            description: 'Only include generations made with this model, e.g. gpt-image-1.'
+          },
+          tool: {
+            type: 'string',
+            description: 'Only include generations made by this tool, e.g. GenerateImage.'
+          },
+          tag: {
+            type: 'string',
+            description: 'Only include generations carrying this tag.'
+          },
+          since: {
+            type: 'string',
+            description: 'Earliest creation time to include, as a UTC date (YYYY-MM-DD) or ISO 8601 timestamp.',
+            pattern: '^\\d{4}-\\d{2}-\\d{2}'
+          },
+          until: {
+            type: 'string',
+            description: 'Latest creation time to include, as a UTC date (YYYY-MM-DD, inclusive) or ISO 8601 timestamp.',
+            pattern: '^\\d{4}-\\d{2}-\\d{2}'
+          },
+          limit: {
+            type: 'integer',
+            description: 'Maximum number of generations to return.',
+            minimum: 1,
+            maximum: 100,
+            default: 20
+          },
+          offset: {
+            type: 'integer',
+            description: 'Number of matches to skip, for paging.',
+            minimum: 0,
+            default: 0
+          }
+        },
+        required: []
+      }
+    }
+  }
+};
+
+export { apiTool };
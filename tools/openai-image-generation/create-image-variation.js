@@ -1,14 +1,22 @@
+import { openaiRequest } from '../../lib/openai-client.js';
+import { buildImageResult } from '../../lib/images.js';
+import { readImageInput } from '../../lib/inputs.js';
+import { resolveOutputPath } from '../../lib/output.js';
+
 /**
  * Function to create variations of an image using OpenAI's DALL-E API.
  *
  * @param {Object} args - Arguments for the image variation.
- * @param {string} args.image - The image to create variations of (base64 encoded PNG).
+ * @param {string} args.image - The image to create variations of (file path, URL, data URI, file ID or base64).
  * @param {string} [args.model="dall-e-2"] - The model to use for image variations.
  * @param {number} [args.n=1] - Number of images to generate (1-10).
  * @param {string} [args.response_format="url"] - The format of the response ("url" or "b64_json").
  * @param {string} [args.size="1024x1024"] - The size of the generated image.
  * @param {string} [args.user] - A unique identifier representing your end-user.
- * @returns {Promise<Object>} - The result of the image variation.
+ * @param {string} [args.output_dir] - Directory to save the images and metadata sidecars to.
+ * @param {Array<string>} [args.tags] - Tags to file the result under in the generation history.
+ * @param {Object} [context] - The tool context, used to resolve a local image path and output_dir.
+ * @returns {Promise<Object>} - The image variations as MCP image content.
  */
 const executeFunction = async ({ 
   image, 
@@ -16,67 +24,42 @@ const executeFunction = async ({
   n = 1, 
   response_format = 'url', 
   size = '1024x1024', 
-  user 
-}) => {
-  const baseUrl = 'https://api.openai.com';
-  const token = process.env.API_KEY;
-
-  if (!token) {
-    return { error: 'API_KEY environment variable is not set.' };
-  }
-
-  try {
-    // Construct the URL for the request
-    const url = `${baseUrl}/v1/images/variations`;
+  user,
+  output_dir
+}, context = {}) => {
+  const outputDir = output_dir && resolveOutputPath(output_dir, 'output_dir', context);
 
-    // Set up headers for the request
-    const headers = {
-      'Authorization': `Bearer ${token}`
-    };
-
-    // Prepare the form data
-    const formData = new FormData();
-    
-    // Convert base64 image to blob
-    const imageBlob = new Blob([Buffer.from(image, 'base64')], { type: 'image/png' });
-    formData.append('image', imageBlob, 'image.png');
-    
-    formData.append('model', model);
-    formData.append('n', n.toString());
-    formData.append('response_format', response_format);
-    formData.append('size', size);
-
-    // Add user if provided
-    if (user) {
-      formData.append('user', user);
-    }
+  // Prepare the form data
+  const formData = new FormData();
+  
+  // Load the image and detect its real MIME type
+  const source = await readImageInput(image, 'image', context);
+  formData.append('image', new Blob([source.data], { type: source.mimeType }), source.filename);
+  
+  formData.append('model', model);
+  formData.append('n', n.toString());
+  formData.append('response_format', response_format);
+  formData.append('size', size);
 
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'POST',
-      headers,
-      body: formData
-    });
+  // Add user if provided
+  if (user) {
+    formData.append('user', user);
+  }
 
-    // Check if the response was successful
-    if (!response.ok) {
-      let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
-      try {
-        const errorData = await response.json();
-        errorMessage = JSON.stringify(errorData);
-      } catch (e) {
-        // Response wasn't JSON, use the HTTP status message
-      }
-      throw new Error(errorMessage);
-    }
+  // Perform the request through the shared OpenAI client
+  const data = await openaiRequest('/images/variations', {
+    method: 'POST',
+    body: formData,
+    images: n
+  });
 
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error creating image variation:', error);
-    return { error: error.message || 'An error occurred while creating the image variation.' };
-  }
+  // Return the images as MCP image content with their metadata
+  return await buildImageResult(data, {
+    tool: 'create-image-variation',
+    model,
+    outputDir,
+    request: { size }
+  });
 };
 
 /**
@@ -95,7 +78,7 @@ const apiTool = {
         properties: {
           image: {
             type: 'string',
-            description: 'The image to create variations of (base64 encoded PNG, <4MB, square).'
+            description: 'The image to create variations of as a local file path, http(s) URL, data URI, OpenAI file ID or base64 string (square PNG, <4MB).'
           },
           model: {
             type: 'string',
@@ -125,6 +108,17 @@ const apiTool = {
           user: {
             type: 'string',
             description: 'A unique identifier representing your end-user.'
+          },
+          output_dir: {
+            type: 'string',
+            description: 'Directory to save the images and JSON metadata sidecars to (defaults to MEDIA_OUTPUT_DIR when set). It must be inside the server\'s output root; relative paths are taken from there.'
+          },
+          tags: {
+            type: 'array',
+            description: 'Tags to file the result under in the local generation history, for finding it later with SearchGenerations.',
+            items: {
+              type: 'string'
+            }
           }
         },
         required: ['image']
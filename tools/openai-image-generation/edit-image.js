@@ -1,16 +1,30 @@
+import { openaiRequest } from '../../lib/openai-client.js';
+import { buildImageResult, requestImageStream } from '../../lib/images.js';
+import { readImageInput } from '../../lib/inputs.js';
+import { resolveOutputPath } from '../../lib/output.js';
+
 /**
- * Function to edit an image using OpenAI's DALL-E API.
+ * Function to edit images using OpenAI's image edit API.
  *
  * @param {Object} args - Arguments for the image editing.
- * @param {string} args.image - The image to edit (base64 encoded PNG).
+ * @param {string|Array<string>} args.image - The image, or up to 16 reference images for gpt-image-1 (file path, URL, data URI, file ID or base64).
  * @param {string} args.prompt - The text description of the desired edit.
- * @param {string} [args.mask] - An additional image whose fully transparent areas indicate where image should be edited.
+ * @param {string} [args.mask] - An additional image whose fully transparent areas indicate where the first image should be edited (same forms as image).
  * @param {string} [args.model="gpt-image-1"] - The model to use for image editing.
  * @param {number} [args.n=1] - Number of images to generate (1-10).
- * @param {string} [args.response_format="url"] - The format of the response ("url" or "b64_json").
+ * @param {string} [args.response_format] - The format of the response ("url" or "b64_json", dall-e-2 only).
  * @param {string} [args.size="1024x1024"] - The size of the generated image.
+ * @param {string} [args.quality] - The quality of the image.
+ * @param {string} [args.input_fidelity] - How closely to preserve input details (gpt-image-1 only).
+ * @param {string} [args.background] - Background transparency (gpt-image-1 only).
+ * @param {string} [args.output_format] - Output format (gpt-image-1 only).
+ * @param {number} [args.output_compression] - Compression level for jpeg/webp output (gpt-image-1 only).
  * @param {string} [args.user] - A unique identifier representing your end-user.
- * @returns {Promise<Object>} - The result of the image editing.
+ * @param {number} [args.partial_images=2] - Partial images to stream when the caller requests progress (gpt-image-1 only).
+ * @param {string} [args.output_dir] - Directory to save the images and metadata sidecars to.
+ * @param {Array<string>} [args.tags] - Tags to file the result under in the generation history.
+ * @param {Object} [context] - The tool context, used to stream partial images as progress notifications and to resolve local paths and output_dir.
+ * @returns {Promise<Object>} - The edited images as MCP image content.
  */
 const executeFunction = async ({
   image,
@@ -18,80 +32,94 @@ const executeFunction = async ({
   mask,
   model = 'gpt-image-1',
   n = 1,
-  response_format = 'url',
+  response_format,
   size = '1024x1024',
-  user
-}) => {
-  const baseUrl = 'https://api.openai.com';
-  const token = process.env.API_KEY;
-
-  if (!token) {
-    return { error: 'API_KEY environment variable is not set.' };
-  }
-
-  try {
-    // Construct the URL for the request
-    const url = `${baseUrl}/v1/images/edits`;
+  quality,
+  input_fidelity,
+  background,
+  output_format,
+  output_compression,
+  user,
+  partial_images = 2,
+  output_dir
+}, context = {}) => {
+  const outputDir = output_dir && resolveOutputPath(output_dir, 'output_dir', context);
 
-    // Set up headers for the request
-    const headers = {
-      'Authorization': `Bearer ${token}`
-    };
+  const images = Array.isArray(image) ? image : [image];
 
-    // Prepare the form data
-    const formData = new FormData();
+  // Prepare the form data
+  const formData = new FormData();
 
-    // Convert base64 image to blob
-    const imageBlob = new Blob([Buffer.from(image, 'base64')], { type: 'image/png' });
-    formData.append('image', imageBlob, 'image.png');
-
-    formData.append('prompt', prompt);
-    formData.append('model', model);
-    formData.append('n', n.toString());
-    formData.append('response_format', response_format);
-    formData.append('size', size);
+  // Load each image and detect its real MIME type
+  const fieldName = images.length > 1 ? 'image[]' : 'image';
+  for (const [index, value] of images.entries()) {
+    const source = await readImageInput(value, images.length > 1 ? `image-${index}` : 'image', context);
+    formData.append(fieldName, new Blob([source.data], { type: source.mimeType }), source.filename);
+  }
 
-    // Add mask if provided
-    if (mask) {
-      const maskBlob = new Blob([Buffer.from(mask, 'base64')], { type: 'image/png' });
-      formData.append('mask', maskBlob, 'mask.png');
-    }
+  formData.append('prompt', prompt);
+  formData.append('model', model);
+  formData.append('n', n.toString());
+  formData.append('size', size);
 
-    // Add user if provided
-    if (user) {
-      formData.append('user', user);
+  // Add model-specific parameters if provided
+  const optionalFields = {
+    response_format,
+    quality,
+    input_fidelity,
+    background,
+    output_format,
+    output_compression
+  };
+  for (const [field, value] of Object.entries(optionalFields)) {
+    if (value !== undefined) {
+      formData.append(field, value.toString());
     }
+  }
 
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'POST',
-      headers,
-      body: formData
-    });
+  // Add mask if provided
+  if (mask) {
+    const maskSource = await readImageInput(mask, 'mask', context);
+    formData.append('mask', new Blob([maskSource.data], { type: maskSource.mimeType }), maskSource.filename);
+  }
 
-    // Check if the response was successful
-    if (!response.ok) {
-      let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
-      try {
-        const errorData = await response.json();
-        errorMessage = JSON.stringify(errorData);
-      } catch (e) {
-        // Response wasn't JSON, use the HTTP status message
-      }
-      throw new Error(errorMessage);
-    }
+  // Add user if provided
+  if (user) {
+    formData.append('user', user);
+  }
 
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error editing image:', error);
-    return { error: error.message || 'An error occurred while editing the image.' };
+  // Stream partial images when the caller is listening for progress
+  const stream = model === 'gpt-image-1' && n === 1 && context.progressToken !== undefined;
+  if (stream) {
+    formData.append('stream', 'true');
+    formData.append('partial_images', partial_images.toString());
   }
+
+  // Perform the request through the shared OpenAI client
+  const data = stream
+    ? await requestImageStream('/images/edits', {
+        body: formData,
+        partialImages: partial_images,
+        context
+      })
+    : await openaiRequest('/images/edits', {
+        method: 'POST',
+        body: formData,
+        images: n
+      });
+
+  // Return the images as MCP image content with their metadata
+  return await buildImageResult(data, {
+    tool: 'edit-image',
+    model,
+    outputFormat: output_format,
+    outputDir,
+    request: { prompt, size, quality, input_fidelity, background }
+  });
 };
 
 /**
- * Tool configuration for editing images using OpenAI's DALL-E API.
+ * Tool configuration for editing images using OpenAI's image edit API.
  * @type {Object}
  */
 const apiTool = {
@@ -100,21 +128,29 @@ const apiTool = {
     type: 'function',
     function: {
       name: 'EditImage',
-      description: 'Edit an image using OpenAI\'s DALL-E API.',
+      description: 'Edit an image, or combine several reference images with gpt-image-1, using OpenAI\'s image edit API.',
       parameters: {
         type: 'object',
         properties: {
           image: {
-            type: 'string',
-            description: 'The image to edit (base64 encoded PNG, <4MB, square).'
+            description: 'The image to edit, or an array of up to 16 reference images to combine (gpt-image-1 only). Each is a local file path, http(s) URL, data URI, OpenAI file ID or base64 string. PNG, JPEG or WebP <50MB for gpt-image-1; a single square PNG <4MB for dall-e-2.',
+            anyOf: [
+              { type: 'string' },
+              {
+                type: 'array',
+                items: { type: 'string' },
+                minItems: 1,
+                maxItems: 16
+              }
+            ]
           },
           prompt: {
             type: 'string',
-            description: 'The text description of the desired edit (max 1000 chars).'
+            description: 'The text description of the desired edit (max 1000 chars for dall-e-2, 32000 for gpt-image-1).'
           },
           mask: {
             type: 'string',
-            description: 'An additional image whose fully transparent areas indicate where image should be edited (base64 encoded PNG, <4MB, square).'
+            description: 'An additional PNG image whose fully transparent areas indicate where the first image should be edited, as a local file path, http(s) URL, data URI, OpenAI file ID or base64 string. Must match the image dimensions.'
           },
           model: {
             type: 'string',
@@ -131,19 +167,62 @@ const apiTool = {
           },
           response_format: {
             type: 'string',
-            description: 'The format of the response.',
-            enum: ['url', 'b64_json'],
-            default: 'url'
+            description: 'The format of the response (dall-e-2 only; gpt-image-1 always returns base64).',
+            enum: ['url', 'b64_json']
           },
           size: {
             type: 'string',
-            description: 'The size of the generated image.',
-            enum: ['256x256', '512x512', '1024x1024'],
+            description: 'The size of the generated image (256x256, 512x512 or 1024x1024 for dall-e-2; 1024x1024, 1536x1024, 1024x1536 or auto for gpt-image-1).',
+            enum: ['256x256', '512x512', '1024x1024', '1536x1024', '1024x1536', 'auto'],
             default: '1024x1024'
           },
+          quality: {
+            type: 'string',
+            description: 'The quality of the image (standard for dall-e-2; auto, low, medium or high for gpt-image-1).',
+            enum: ['standard', 'auto', 'low', 'medium', 'high']
+          },
+          input_fidelity: {
+            type: 'string',
+            description: 'How closely to preserve details such as faces and logos from the input images (gpt-image-1 only).',
+            enum: ['high', 'low']
+          },
+          background: {
+            type: 'string',
+            description: 'Background transparency for gpt-image-1 (transparent, opaque, or auto).',
+            enum: ['transparent', 'opaque', 'auto']
+          },
+          output_format: {
+            type: 'string',
+            description: 'Output format for gpt-image-1 (png, jpeg, or webp).',
+            enum: ['png', 'jpeg', 'webp']
+          },
+          output_compression: {
+            type: 'integer',
+            description: 'Compression level (0-100%) for gpt-image-1 with webp/jpeg formats.',
+            minimum: 0,
+            maximum: 100
+          },
           user: {
             type: 'string',
             description: 'A unique identifier representing your end-user.'
+          },
+          partial_images: {
+            type: 'integer',
+            description: 'Number of partial images (0-3) to stream as progress notifications when the caller supplies a progress token (gpt-image-1 only).',
+            minimum: 0,
+            maximum: 3,
+            default: 2
+          },
+          output_dir: {
+            type: 'string',
+            description: 'Directory to save the images and JSON metadata sidecars to (defaults to MEDIA_OUTPUT_DIR when set). It must be inside the server\'s output root; relative paths are taken from there.'
+          },
+          tags: {
+            type: 'array',
+            description: 'Tags to file the result under in the local generation history, for finding it later with SearchGenerations.',
+            items: {
+              type: 'string'
+            }
           }
         },
         required: ['image', 'prompt']
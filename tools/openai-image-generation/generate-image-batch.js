@@ -0,0 +1,164 @@
+import { McpError } from '@modelcontextprotocol/sdk/types.js';
+import { mapWithConcurrency } from '../../lib/concurrency.js';
+import { classifyError, ToolError } from '../../lib/errors.js';
+import { jsonContent, toolResult } from '../../lib/results.js';
+import { runTool } from '../../lib/tools.js';
+import { validateToolArguments } from '../../lib/validation.js';
+import { apiTool as generateImage } from './generate-image.js';
+
+// Batch items take every GenerateImage option except streaming
+const { partial_images, ...itemProperties } = generateImage.definition.function.parameters.properties;
+const { prompt, ...optionProperties } = itemProperties;
+
+/**
+ * Function to generate images for a list of prompts using OpenAI's image API.
+ *
+ * @param {Object} args - Arguments for the batch.
+ * @param {Array<Object>} args.items - GenerateImage arguments for each item; each needs a prompt.
+ * @param {Object} [args.defaults] - GenerateImage options applied to every item unless the item overrides them.
+ * @param {number} [args.concurrency=4] - Maximum number of items generated at once.
+ * @param {boolean} [args.include_images=false] - Return every image inline instead of as a resource link; callers without resources always get them inline.
+ * @param {Object} [context] - The tool context, used to report progress and expose the images as resources.
+ * @returns {Promise<Object>} - The outcome of every item, in input order.
+ */
+const executeFunction = async ({
+  items,
+  defaults = {},
+  concurrency = 4,
+  include_images = false
+}, context = {}) => {
+  // Items report progress for the batch as a whole, so they must not stream
+  const itemContext = { ...context, progressToken: undefined, reportProgress: async () => {} };
+  const content = [];
+  let done = 0;
+  let failed = 0;
+
+  const results = await mapWithConcurrency(items, concurrency, async (item, index) => {
+    const outcome = { index, prompt: item.prompt };
+    try {
+      if (context.signal?.aborted) {
+        throw new ToolError('The batch was cancelled before this item started.', {
+          category: 'cancelled',
+          code: 'cancelled'
+        });
+      }
+
+      // Each item goes through the same checks, budgets and history as a GenerateImage call
+      const { args, warnings } = validateItem({ ...defaults, ...item });
+      const result = await runTool(generateImage, args, itemContext);
+
+      const blocks = result.content.filter((block) => block.type === 'image');
+      const images = result.structuredContent.images.filter((image) => !image.download_error);
+      images.forEach((image, imageIndex) => {
+        const block = blocks[imageIndex];
+        if (!block) return;
+        // Link the image instead of inlining it to keep the result small,
+        // unless the caller has no media registry to link to
+        const resource = include_images
+          ? undefined
+          : context.registerMedia?.({
+            data: Buffer.from(block.data, 'base64'),
+            mimeType: block.mimeType,
+            path: image.path
+          });
+        if (resource) {
+          image.resource_uri = resource.uri;
+          content.push({ type: 'resource_link', uri: resource.uri, name: resource.name, mimeType: resource.mimeType });
+        } else {
+          content.push(block);
+        }
+      });
+
+      Object.assign(outcome, { status: 'succeeded', ...result.structuredContent });
+      if (warnings.length) outcome.warnings = warnings;
+    } catch (error) {
+      failed += 1;
+      Object.assign(outcome, { status: 'failed', error: classifyError(error) });
+    }
+
+    done += 1;
+    await context.reportProgress?.({
+      progress: done,
+      total: items.length,
+      message: `${done} of ${items.length} items done (${failed} failed)`
+    });
+    return outcome;
+  });
+
+  const summary = {
+    total: items.length,
+    succeeded: items.length - failed,
+    failed,
+    results
+  };
+  return toolResult([jsonContent(summary), ...content], summary);
+};
+
+/**
+ * Validates one item against GenerateImage's schema and model rules,
+ * turning the MCP error into a failure for that item alone.
+ */
+const validateItem = (args) => {
+  try {
+    return validateToolArguments(generateImage, args);
+  } catch (error) {
+    if (!(error instanceof McpError)) throw error;
+    const details = (error.data?.errors || []).map(({ field, message }) => `"${field}" ${message}`);
+    throw new ToolError(`Invalid arguments: ${details.join('; ') || error.message}`, {
+      code: 'invalid_arguments'
+    });
+  }
+};
+
+/**
+ * Tool configuration for generating a batch of images using OpenAI's image API.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'GenerateImageBatch',
+      description: 'Generate images for a list of prompts in one call, e.g. variants for an A/B creative test. Items run with bounded concurrency, and each one reports its own images or a structured error, so one failed prompt does not fail the batch.',
+      parameters: {
+        type: 'object',
+        properties: {
+          items: {
+            type: 'array',
+            description: 'One GenerateImage request per item. Each needs a prompt and may override any option in defaults.',
+            minItems: 1,
+            maxItems: 100,
+            items: {
+              type: 'object',
+              properties: itemProperties,
+              required: ['prompt'],
+              additionalProperties: false
+            }
+          },
+          defaults: {
+            type: 'object',
+            description: 'GenerateImage options applied to every item unless the item sets its own, e.g. model, size and tags.',
+            properties: optionProperties,
+            additionalProperties: false
+          },
+          concurrency: {
+            type: 'integer',
+            description: 'Maximum number of items generated at once. Requests also wait for the server-wide OpenAI rate limits.',
+            minimum: 1,
+            maximum: 10,
+            default: 4
+          },
+          include_images: {
+            type: 'boolean',
+            description: 'Return every image inline. By default images are returned as resource links when the client supports resources, so a large batch does not fill the context.',
+            default: false
+          }
+        },
+        required: ['items']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -1,3 +1,7 @@
+import { openaiRequest } from '../../lib/openai-client.js';
+import { buildImageResult, requestImageStream } from '../../lib/images.js';
+import { resolveOutputPath } from '../../lib/output.js';
+
 /**
  * Function to generate an image using OpenAI's DALL-E API.
  *
@@ -10,7 +14,11 @@
  * @param {string} [args.size="1024x1024"] - The size of the generated image.
  * @param {string} [args.style="vivid"] - The style of the image (DALL-E 3 only).
  * @param {string} [args.user] - A unique identifier representing your end-user.
- * @returns {Promise<Object>} - The result of the image generation.
+ * @param {number} [args.partial_images=2] - Partial images to stream when the caller requests progress (gpt-image-1 only).
+ * @param {string} [args.output_dir] - Directory to save the images and metadata sidecars to.
+ * @param {Array<string>} [args.tags] - Tags to file the result under in the generation history.
+ * @param {Object} [context] - The tool context, used to stream partial images as progress notifications and to resolve output_dir.
+ * @returns {Promise<Object>} - The generated images as MCP image content.
  */
 const executeFunction = async ({
   prompt,
@@ -24,77 +32,65 @@ const executeFunction = async ({
   background = 'auto',
   moderation = 'auto',
   output_compression = 100,
-  output_format = 'png'
-}) => {
-  const baseUrl = 'https://api.openai.com';
-  const token = process.env.API_KEY;
-
-  if (!token) {
-    return { error: 'API_KEY environment variable is not set.' };
-  }
-
-  try {
-    // Construct the URL for the request
-    const url = `${baseUrl}/v1/images/generations`;
-
-    // Set up headers for the request
-    const headers = {
-      'Authorization': `Bearer ${token}`,
-      'Content-Type': 'application/json'
-    };
+  output_format = 'png',
+  partial_images = 2,
+  output_dir
+}, context = {}) => {
+  const outputDir = output_dir && resolveOutputPath(output_dir, 'output_dir', context);
 
-    // Prepare the request body
-    const body = {
-      prompt,
-      model,
-      n,
-      quality,
-      size
-    };
+  // Prepare the request body
+  const body = {
+    prompt,
+    model,
+    n,
+    quality,
+    size
+  };
 
-    // Add model-specific parameters
-    if (model === 'gpt-image-1') {
-      body.background = background;
-      body.moderation = moderation;
-      body.output_compression = output_compression;
-      body.output_format = output_format;
-    } else {
-      // For DALL-E models, use response_format and style
-      body.response_format = response_format;
+  // Add model-specific parameters
+  if (model === 'gpt-image-1') {
+    body.background = background;
+    body.moderation = moderation;
+    body.output_compression = output_compression;
+    body.output_format = output_format;
+  } else {
+    // For DALL-E models, use response_format and style (DALL-E 3 only)
+    body.response_format = response_format;
+    if (model === 'dall-e-3') {
       body.style = style;
     }
+  }
 
-    // Add user if provided
-    if (user) {
-      body.user = user;
-    }
+  // Add user if provided
+  if (user) {
+    body.user = user;
+  }
 
-    // Perform the fetch request
-    const response = await fetch(url, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(body)
-    });
+  // Stream partial images when the caller is listening for progress
+  const stream = model === 'gpt-image-1' && n === 1 && context.progressToken !== undefined;
 
-    // Check if the response was successful
-    if (!response.ok) {
-      let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
-      try {
-        const errorData = await response.json();
-        errorMessage = JSON.stringify(errorData);
-      } catch (e) {
-        // Response wasn't JSON, use the HTTP status message
-      }
-      throw new Error(errorMessage);
-    }
+  // Perform the request through the shared OpenAI client
+  const data = stream
+    ? await requestImageStream('/images/generations', {
+        json: { ...body, stream: true, partial_images },
+        partialImages: partial_images,
+        context
+      })
+    : await openaiRequest('/images/generations', {
+        method: 'POST',
+        json: body,
+        images: n
+      });
 
-    // Parse and return the response data
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error generating image:', error);
-    return { error: error.message || 'An error occurred while generating the image.' };
-  }
+  // Return the images as MCP image content with their metadata
+  const outputFormat = model === 'gpt-image-1' ? output_format : 'png';
+  return await buildImageResult(data, {
+    tool: 'generate-image',
+    model,
+    outputFormat,
+    outputDir,
+    request: { prompt, size, quality }
+  });
 };
 
 /**
@@ -130,20 +126,20 @@ const apiTool = {
           },
           quality: {
             type: 'string',
-            description: 'The quality of the image.',
-            enum: ['standard', 'hd', 'auto'],
+            description: 'The quality of the image (standard for DALL-E 2; standard or hd for DALL-E 3; low, medium or high for gpt-image-1; auto for any).',
+            enum: ['standard', 'hd', 'low', 'medium', 'high', 'auto'],
             default: 'auto'
           },
           response_format: {
             type: 'string',
-            description: 'The format of the response.',
+            description: 'The format of the response (DALL-E only; gpt-image-1 always returns base64).',
             enum: ['url', 'b64_json'],
             default: 'url'
           },
           size: {
             type: 'string',
-            description: 'The size of the generated image.',
-            enum: ['256x256', '512x512', '1024x1024', '1792x1024', '1024x1792'],
+            description: 'The size of the generated image (256x256, 512x512 or 1024x1024 for DALL-E 2; 1024x1024, 1792x1024 or 1024x1792 for DALL-E 3; 1024x1024, 1536x1024, 1024x1536 or auto for gpt-image-1).',
+            enum: ['256x256', '512x512', '1024x1024', '1792x1024', '1024x1792', '1536x1024', '1024x1536', 'auto'],
             default: '1024x1024'
           },
           style: {
@@ -180,6 +176,24 @@ const apiTool = {
             description: 'Output format for gpt-image-1 (png, jpeg, or webp).',
             enum: ['png', 'jpeg', 'webp'],
             default: 'png'
+          },
+          partial_images: {
+            type: 'integer',
+            description: 'Number of partial images (0-3) to stream as progress notifications when the caller supplies a progress token (gpt-image-1 only).',
+            minimum: 0,
+            maximum: 3,
+            default: 2
+          },
+          output_dir: {
+            type: 'string',
+            description: 'Directory to save the images and JSON metadata sidecars to (defaults to MEDIA_OUTPUT_DIR when set). It must be inside the server\'s output root; relative paths are taken from there.'
+          },
+          tags: {
+            type: 'array',
+            description: 'Tags to file the result under in the local generation history, for finding it later with SearchGenerations.',
+            items: {
+              type: 'string'
+            }
           }
         },
         required: ['prompt']
@@ -0,0 +1,82 @@
+import { getBudgetStatus, getSessionId, readLedger, summarizeUsage } from '../../lib/usage.js';
+
+/**
+ * Function to summarise the estimated spend recorded in the local usage ledger.
+ *
+ * @param {Object} args - Arguments for the usage report.
+ * @param {string} [args.since] - First UTC day to include (YYYY-MM-DD).
+ * @param {string} [args.until] - Last UTC day to include (YYYY-MM-DD).
+ * @param {Array<string>} [args.group_by=["day","tool"]] - Fields to group the spend by.
+ * @param {boolean} [args.current_session=false] - Only include calls made in this session.
+ * @param {Object} [context] - Tool context identifying the current session, whose client ID limits the report to the caller's calls.
+ * @returns {Promise<Object>} - Totals, grouped spend and budget status.
+ */
+const executeFunction = async ({
+  since,
+  until,
+  group_by = ['day', 'tool'],
+  current_session = false
+}, context = {}) => {
+  const budgets = await getBudgetStatus(context);
+
+  // Narrow the ledger to the requested range, the caller and the session
+  let entries = await readLedger({ since, until, clientId: context.clientId ?? null });
+  if (current_session) {
+    const sessionId = getSessionId(context);
+    entries = entries.filter((entry) => entry.session_id === sessionId);
+  }
+
+  return {
+    since,
+    until,
+    ...summarizeUsage(entries, group_by),
+    budgets
+  };
+};
+
+/**
+ * Tool configuration for reporting OpenAI usage and estimated cost.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'GetUsageReport',
+      description: 'Summarise the estimated OpenAI spend of calls made through this server, by day, tool, model, session or user, along with the remaining daily and session budgets.',
+      parameters: {
+        type: 'object',
+        properties: {
+          since: {
+            type: 'string',
+            description: 'First UTC day to include (YYYY-MM-DD).',
+            pattern: '^\\d{4}-\\d{2}-\\d{2}$'
+          },
+          until: {
+            type: 'string',
+            description: 'Last UTC day to include (YYYY-MM-DD).',
+            pattern: '^\\d{4}-\\d{2}-\\d{2}$'
+          },
+          group_by: {
+            type: 'array',
+            description: 'Fields to group the spend by.',
+            items: {
+              type: 'string',
+              enum: ['day', 'tool', 'model', 'session', 'user']
+            },
+            default: ['day', 'tool']
+          },
+          current_session: {
+            type: 'boolean',
+            description: 'Only include calls made in this session.',
+            default: false
+          }
+        },
+        required: []
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -0,0 +1,134 @@
+import { openaiRequest } from '../../lib/openai-client.js';
+import { readImageInput } from '../../lib/inputs.js';
+import { waitForVideo } from '../../lib/videos.js';
+
+/**
+ * Function to create a video using OpenAI's Sora video API.
+ *
+ * @param {Object} args - Arguments for the video generation.
+ * @param {string} args.prompt - The text description of the desired video.
+ * @param {string} [args.model="sora-2"] - The model to use for video generation.
+ * @param {string} [args.seconds="4"] - The clip duration in seconds.
+ * @param {string} [args.size="720x1280"] - The output resolution (width x height).
+ * @param {string} [args.input_reference] - Image used as the first frame (file path, URL, data URI, file ID or base64).
+ * @param {boolean} [args.wait=false] - Whether to poll until the video job finishes.
+ * @param {number} [args.poll_interval_seconds=10] - Delay between status checks while waiting.
+ * @param {number} [args.timeout_seconds=600] - How long to wait before giving up.
+ * @param {Array<string>} [args.tags] - Tags to file the result under in the generation history.
+ * @param {Object} [context] - The tool context, used to report job progress while waiting and to resolve a local input_reference.
+ * @returns {Promise<Object>} - The video job.
+ */
+const executeFunction = async ({
+  prompt,
+  model = 'sora-2',
+  seconds = '4',
+  size = '720x1280',
+  input_reference,
+  wait = false,
+  poll_interval_seconds = 10,
+  timeout_seconds = 600
+}, context = {}) => {
+  // Prepare the form data
+  const formData = new FormData();
+  formData.append('prompt', prompt);
+  formData.append('model', model);
+  formData.append('seconds', seconds);
+  formData.append('size', size);
+
+  // Add the reference image if provided
+  if (input_reference) {
+    const reference = await readImageInput(input_reference, 'input_reference', context);
+    const referenceBlob = new Blob([reference.data], { type: reference.mimeType });
+    formData.append('input_reference', referenceBlob, reference.filename);
+  }
+
+  // Perform the request through the shared OpenAI client
+  const video = await openaiRequest('/videos', {
+    method: 'POST',
+    body: formData
+  });
+
+  if (!wait) {
+    return video;
+  }
+
+  // Poll until the job finishes
+  return await waitForVideo(video.id, {
+    intervalMs: poll_interval_seconds * 1000,
+    timeoutMs: timeout_seconds * 1000,
+    context
+  });
+};
+
+/**
+ * Tool configuration for creating videos using OpenAI's Sora video API.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'CreateVideo',
+      description: 'Create a video from a text prompt and optional reference image using OpenAI\'s Sora video API. Video jobs take minutes; set wait to poll until the job finishes.',
+      parameters: {
+        type: 'object',
+        properties: {
+          prompt: {
+            type: 'string',
+            description: 'The text description of the desired video.'
+          },
+          model: {
+            type: 'string',
+            description: 'The model to use for video generation.',
+            enum: ['sora-2', 'sora-2-pro'],
+            default: 'sora-2'
+          },
+          seconds: {
+            type: 'string',
+            description: 'The clip duration in seconds.',
+            enum: ['4', '8', '12'],
+            default: '4'
+          },
+          size: {
+            type: 'string',
+            description: 'The output resolution as width x height (1024x1792 and 1792x1024 require sora-2-pro).',
+            enum: ['720x1280', '1280x720', '1024x1792', '1792x1024'],
+            default: '720x1280'
+          },
+          input_reference: {
+            type: 'string',
+            description: 'Image (JPEG, PNG or WebP) used as the first frame, as a local file path, http(s) URL, data URI, OpenAI file ID or base64 string. It should match the requested size.'
+          },
+          wait: {
+            type: 'boolean',
+            description: 'Poll until the video job completes or fails instead of returning immediately.',
+            default: false
+          },
+          poll_interval_seconds: {
+            type: 'integer',
+            description: 'Delay between status checks while waiting.',
+            minimum: 1,
+            default: 10
+          },
+          timeout_seconds: {
+            type: 'integer',
+            description: 'How long to wait for the job before giving up.',
+            minimum: 1,
+            default: 600
+          },
+          tags: {
+            type: 'array',
+            description: 'Tags to file the result under in the local generation history, for finding it later with SearchGenerations.',
+            items: {
+              type: 'string'
+            }
+          }
+        },
+        required: ['prompt']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -0,0 +1,44 @@
+import { openaiRequest } from '../../lib/openai-client.js';
+
+/**
+ * Function to delete a video from OpenAI's Sora video API.
+ *
+ * @param {Object} args - Arguments for deleting a video.
+ * @param {string} args.video_id - The ID of the video to delete.
+ * @returns {Promise<Object>} - The result of the video deletion.
+ */
+const executeFunction = async ({
+  video_id
+}) => {
+  // Perform the request through the shared OpenAI client
+  return await openaiRequest(`/videos/${encodeURIComponent(video_id)}`, {
+    method: 'DELETE'
+  });
+};
+
+/**
+ * Tool configuration for deleting videos from OpenAI's Sora video API.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'DeleteVideo',
+      description: 'Delete a video from OpenAI\'s Sora video API.',
+      parameters: {
+        type: 'object',
+        properties: {
+          video_id: {
+            type: 'string',
+            description: 'The ID of the video to delete.'
+          }
+        },
+        required: ['video_id']
+      }
+    }
+  }
+};
+
+export { apiTool };
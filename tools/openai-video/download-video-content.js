@@ -0,0 +1,132 @@
+import path from 'path';
+import { openaiRequest } from '../../lib/openai-client.js';
+import { getOutputDir, resolveOutputPath, streamOutputFile } from '../../lib/output.js';
+import { guessMimeType } from '../../lib/resources.js';
+
+const EXTENSIONS = {
+  'video/mp4': 'mp4',
+  'image/webp': 'webp',
+  'image/jpeg': 'jpg',
+  'image/png': 'png'
+};
+
+const DEFAULT_EXTENSIONS = {
+  video: 'mp4',
+  thumbnail: 'webp',
+  spritesheet: 'jpg'
+};
+
+/**
+ * Function to download a finished video and its preview variants from OpenAI's Sora video API.
+ *
+ * @param {Object} args - Arguments for downloading the video content.
+ * @param {string} args.video_id - The ID of the completed video.
+ * @param {Array<string>} [args.variants=["video"]] - Which assets to download.
+ * @param {string} [args.output_dir] - Directory to write the files to.
+ * @param {Array<string>} [args.tags] - Tags to file the result under in the generation history.
+ * @param {Object} [context] - Tool context used to report download progress and expose the files as resources.
+ * @returns {Promise<Object>} - The saved file for each variant.
+ */
+const executeFunction = async ({
+  video_id,
+  variants = ['video'],
+  output_dir
+}, context = {}) => {
+  const directory = getOutputDir(output_dir && resolveOutputPath(output_dir, 'output_dir', context));
+  // Keep the ID from naming a path outside the output directory
+  const baseName = video_id.replace(/[^A-Za-z0-9_-]/g, '_');
+  const files = [];
+
+  for (const variant of variants) {
+    // Perform the request through the shared OpenAI client
+    const response = await openaiRequest(`/videos/${encodeURIComponent(video_id)}/content`, {
+      query: { variant },
+      responseType: 'response',
+      signal: context.signal
+    });
+
+    // Pick the file extension from the returned content type
+    const contentType = response.headers.get('content-type')?.split(';')[0];
+    const extension = EXTENSIONS[contentType] || DEFAULT_EXTENSIONS[variant];
+    const suffix = variant === 'video' ? '' : `-${variant}`;
+
+    // Stream straight to disk so long videos are never held in memory
+    const total = Number(response.headers.get('content-length')) || undefined;
+    const { path: filePath, bytes } = await streamOutputFile(
+      path.join(directory, `${baseName}${suffix}.${extension}`),
+      response.body,
+      (written) => context.reportProgress?.({
+        progress: written,
+        total,
+        message: `Downloaded ${written} of ${total ?? '?'} bytes of the ${variant}`
+      })
+    );
+
+    const mimeType = contentType || guessMimeType(filePath);
+
+    // Expose the download as a session resource
+    const resource = context.registerMedia?.({
+      path: filePath,
+      mimeType,
+      name: path.basename(filePath),
+      size: bytes
+    });
+
+    files.push({
+      variant,
+      path: filePath,
+      mime_type: mimeType,
+      bytes,
+      resource_uri: resource?.uri
+    });
+  }
+
+  return { video_id, files };
+};
+
+/**
+ * Tool configuration for downloading video content from OpenAI's Sora video API.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'DownloadVideoContent',
+      description: 'Download a completed video and its thumbnail or spritesheet to disk from OpenAI\'s Sora video API.',
+      parameters: {
+        type: 'object',
+        properties: {
+          video_id: {
+            type: 'string',
+            description: 'The ID of the completed video.'
+          },
+          variants: {
+            type: 'array',
+            description: 'Which assets to download.',
+            items: {
+              type: 'string',
+              enum: ['video', 'thumbnail', 'spritesheet']
+            },
+            default: ['video']
+          },
+          output_dir: {
+            type: 'string',
+            description: 'Directory to write the files to (defaults to the media output directory). It must be inside the server\'s output root; relative paths are taken from there.'
+          },
+          tags: {
+            type: 'array',
+            description: 'Tags to file the result under in the local generation history, for finding it later with SearchGenerations.',
+            items: {
+              type: 'string'
+            }
+          }
+        },
+        required: ['video_id']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -0,0 +1,61 @@
+import { openaiRequest } from '../../lib/openai-client.js';
+
+/**
+ * Function to list video jobs from OpenAI's Sora video API.
+ *
+ * @param {Object} args - Arguments for listing video jobs.
+ * @param {number} [args.limit=20] - Limit the number of videos returned.
+ * @param {string} [args.after] - Return videos after this video ID for pagination.
+ * @param {string} [args.order="desc"] - Sort order by creation time.
+ * @returns {Promise<Object>} - The result containing the list of videos.
+ */
+const executeFunction = async ({
+  limit = 20,
+  after,
+  order = 'desc'
+}) => {
+  // Perform the request with pagination parameters
+  return await openaiRequest('/videos', {
+    query: { limit, after, order }
+  });
+};
+
+/**
+ * Tool configuration for listing video jobs from OpenAI's Sora video API.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'ListVideos',
+      description: 'List video jobs from OpenAI\'s Sora video API.',
+      parameters: {
+        type: 'object',
+        properties: {
+          limit: {
+            type: 'integer',
+            description: 'Limit the number of videos returned (1-100).',
+            minimum: 1,
+            maximum: 100,
+            default: 20
+          },
+          after: {
+            type: 'string',
+            description: 'Return videos after this video ID for pagination.'
+          },
+          order: {
+            type: 'string',
+            description: 'Sort order by creation time.',
+            enum: ['asc', 'desc'],
+            default: 'desc'
+          }
+        },
+        required: []
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -0,0 +1,95 @@
+import { openaiRequest } from '../../lib/openai-client.js';
+import { waitForVideo } from '../../lib/videos.js';
+
+/**
+ * Function to remix an existing video using OpenAI's Sora video API.
+ *
+ * @param {Object} args - Arguments for the video remix.
+ * @param {string} args.video_id - The ID of the completed video to remix.
+ * @param {string} args.prompt - The text description of the changes to make.
+ * @param {boolean} [args.wait=false] - Whether to poll until the remix job finishes.
+ * @param {number} [args.poll_interval_seconds=10] - Delay between status checks while waiting.
+ * @param {number} [args.timeout_seconds=600] - How long to wait before giving up.
+ * @param {Array<string>} [args.tags] - Tags to file the result under in the generation history.
+ * @param {Object} [context] - The tool context, used to report job progress while waiting.
+ * @returns {Promise<Object>} - The new video job.
+ */
+const executeFunction = async ({
+  video_id,
+  prompt,
+  wait = false,
+  poll_interval_seconds = 10,
+  timeout_seconds = 600
+}, context = {}) => {
+  // Perform the request through the shared OpenAI client
+  const video = await openaiRequest(`/videos/${encodeURIComponent(video_id)}/remix`, {
+    method: 'POST',
+    json: { prompt }
+  });
+
+  if (!wait) {
+    return video;
+  }
+
+  // Poll until the job finishes
+  return await waitForVideo(video.id, {
+    intervalMs: poll_interval_seconds * 1000,
+    timeoutMs: timeout_seconds * 1000,
+    context
+  });
+};
+
+/**
+ * Tool configuration for remixing videos using OpenAI's Sora video API.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'RemixVideo',
+      description: 'Create a new video by remixing a completed video with a prompt using OpenAI\'s Sora video API.',
+      parameters: {
+        type: 'object',
+        properties: {
+          video_id: {
+            type: 'string',
+            description: 'The ID of the completed video to remix.'
+          },
+          prompt: {
+            type: 'string',
+            description: 'The text description of the changes to make.'
+          },
+          wait: {
+            type: 'boolean',
+            description: 'Poll until the remix job completes or fails instead of returning immediately.',
+            default: false
+          },
+          poll_interval_seconds: {
+            type: 'integer',
+            description: 'Delay between status checks while waiting.',
+            minimum: 1,
+            default: 10
+          },
+          timeout_seconds: {
+            type: 'integer',
+            description: 'How long to wait for the job before giving up.',
+            minimum: 1,
+            default: 600
+          },
+          tags: {
+            type: 'array',
+            description: 'Tags to file the result under in the local generation history, for finding it later with SearchGenerations.',
+            items: {
+              type: 'string'
+            }
+          }
+        },
+        required: ['video_id', 'prompt']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -0,0 +1,42 @@
+import { openaiRequest } from '../../lib/openai-client.js';
+
+/**
+ * Function to retrieve a video job from OpenAI's Sora video API.
+ *
+ * @param {Object} args - Arguments for retrieving the video job.
+ * @param {string} args.video_id - The ID of the video to retrieve.
+ * @returns {Promise<Object>} - The video job, including its status and progress.
+ */
+const executeFunction = async ({
+  video_id
+}) => {
+  // Perform the request through the shared OpenAI client
+  return await openaiRequest(`/videos/${encodeURIComponent(video_id)}`);
+};
+
+/**
+ * Tool configuration for retrieving video jobs from OpenAI's Sora video API.
+ * @type {Object}
+ */
+const apiTool = {
+  function: executeFunction,
+  definition: {
+    type: 'function',
+    function: {
+      name: 'RetrieveVideo',
+      description: 'Retrieve the status and progress of a video job from OpenAI\'s Sora video API.',
+      parameters: {
+        type: 'object',
+        properties: {
+          video_id: {
+            type: 'string',
+            description: 'The ID of the video to retrieve.'
+          }
+        },
+        required: ['video_id']
+      }
+    }
+  }
+};
+
+export { apiTool };
@@ -1,13 +1,38 @@
+// Display order of the built-in tools. Modules under tools/ are discovered
+// automatically, so a new tool only needs listing here to choose its place;
+// unlisted tools follow these, sorted by path.
 export const toolPaths = [
   // OpenAI Image Generation
   'openai-image-generation/generate-image.js',
+  'openai-image-generation/generate-image-batch.js',
   'openai-image-generation/edit-image.js',
   'openai-image-generation/create-image-variation.js',
+
+  // OpenAI Audio
+  'openai-audio/create-speech.js',
+  'openai-audio/transcribe-audio.js',
+
+  // OpenAI Video Generation
+  'openai-video/create-video.js',
+  'openai-video/retrieve-video.js',
+  'openai-video/list-videos.js',
+  'openai-video/download-video-content.js',
+  'openai-video/remix-video.js',
+  'openai-video/delete-video.js',
   
   // OpenAI File Management
   'openai-files/upload-file.js',
   'openai-files/list-files.js',
   'openai-files/retrieve-file.js',
   'openai-files/retrieve-file-content.js',
-  'openai-files/delete-file.js'
+  'openai-files/delete-file.js',
+  'openai-files/cleanup-files.js',
+
+  // Usage Reporting
+  'openai-usage/get-usage-report.js',
+
+  // Generation History
+  'openai-history/list-generations.js',
+  'openai-history/get-generation.js',
+  'openai-history/search-generations.js'
 ];
\ No newline at end of file